@@ -10,8 +10,24 @@ interface MedicalItem {
   unit: string;
   range: string;
   categoryName: string;
+  normalizedValue?: number; // 服务端换算到首选单位后的数值
+  normalizedUnit?: string;
+  flag?: ItemFlag; // 服务端按参考范围判断的标记
+  abnormal?: boolean;
+  confidence?: number; // 识别置信度 0-1
+  lowConfidence?: boolean; // 低于后台阈值，需要对照原图核对
+  source?: ItemSource;
 }
 
+// 识别结果在原图中的位置：页码、行号、归一化坐标框 [ymin, xmin, ymax, xmax]（0-1000）
+interface ItemSource {
+  page?: number;
+  line?: number;
+  bbox?: number[];
+}
+
+type ItemFlag = 'high' | 'low' | 'normal' | 'positive' | 'negative' | 'unparseable';
+
 interface Medication {
   name: string;
   dosage: string;
@@ -42,13 +58,6 @@ interface ExportFormat {
   medicalRecords: MedicalRecord[];
 }
 
-// Declare XLSX global from CDN
-declare global {
-  interface Window {
-    XLSX: any;
-  }
-}
-
 // API 统计数据接口
 interface ApiStats {
   imageAnalyze: number;
@@ -72,8 +81,25 @@ const SUPPORTED_MODELS = {
 } as const;
 
 type ModelId = keyof typeof SUPPORTED_MODELS;
+
+// 异常项目的行背景色与标记
+const FLAG_STYLES: Partial<Record<ItemFlag, { row: string; badge: string; label: string }>> = {
+  high: { row: 'bg-red-50/70', badge: 'text-red-600', label: '↑' },
+  low: { row: 'bg-sky-50/70', badge: 'text-sky-600', label: '↓' },
+  positive: { row: 'bg-orange-50/70', badge: 'text-orange-600', label: '阳性' }
+};
 const DEFAULT_MODEL: ModelId = 'gemini-2.5-flash';
 
+// 低置信度提示文字，例如 "识别置信度 62%（第 1 页第 12 行），请对照原图核对"
+const describeLowConfidence = (item: MedicalItem) => {
+  const location = [
+    item.source?.page ? `第 ${item.source.page} 页` : '',
+    item.source?.line ? `第 ${item.source.line} 行` : ''
+  ].join('');
+  const percent = item.confidence !== undefined ? ` ${Math.round(item.confidence * 100)}%` : '';
+  return `识别置信度${percent}${location ? `（${location}）` : ''}，请对照原图核对`;
+};
+
 // --- Components ---
 
 const SettingsModal = ({
@@ -324,7 +350,7 @@ const App = () => {
 
         // Loop through all selected images
         for (let i = 0; i < files.length; i++) {
-          setStatusMsg(`正在识别第 ${i + 1} / ${files.length} 张图片...`);
+          setStatusMsg(`正在识别第 ${i + 1} / ${files.length} 个文件...`);
           try {
             await processImage(files[i]);
             successCount++;
@@ -392,174 +418,47 @@ const App = () => {
   };
 
   const processExcel = async (file: File) => {
-    if (!window.XLSX) throw new Error("Excel 组件加载中，请稍候再试");
-    // Excel 解析由后端 API 处理，无需本地 API Key
-
-    setStatusMsg('正在读取表格数据...');
-    const arrayBuffer = await file.arrayBuffer();
-    // Use cellDates: true to let SheetJS handle standard dates
-    const workbook = window.XLSX.read(arrayBuffer, { type: 'array', cellDates: true });
-    const worksheet = workbook.Sheets[workbook.SheetNames[0]];
-
-    // 1. Get raw data (Array of Arrays)
-    const jsonData = window.XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: null });
-
-    if (!jsonData || jsonData.length === 0) throw new Error("表格为空");
-
-    // 2. Find Header Row (Heuristic: Row with most strings)
-    let headerRowIndex = 0;
-    let maxStrings = 0;
-    // Check first 10 rows
-    for (let i = 0; i < Math.min(jsonData.length, 10); i++) {
-      const row = jsonData[i] as any[];
-      if (!row) continue;
-      const strCount = row.filter(c => typeof c === 'string').length;
-      if (strCount > maxStrings) {
-        maxStrings = strCount;
-        headerRowIndex = i;
-      }
-    }
-
-    const headers = (jsonData[headerRowIndex] as any[]).map((val, idx) => ({
-      index: idx,
-      text: String(val || '').trim()
-    })).filter(h => h.text.length > 0);
-
-    setStatusMsg('正在分析表头结构 (AI)...');
+    // 表头识别、日期与数值解析都由后端完成，直接返回可保存的记录
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('tzOffset', String(new Date().getTimezoneOffset()));
 
-    const order: number[] = [];
-    for (let i = 0; i < apiKeys.length; i++) {
-      order.push((activeKeyIndex + i) % apiKeys.length);
+    setStatusMsg('正在解析表格...');
+    // 未匹配的表头会交给模型识别，同样传递本地 API Key 和所选模型
+    const headers: Record<string, string> = {
+      'x-gemini-model': selectedModel
+    };
+    if (apiKeys.length > 0) {
+      headers['x-gemini-api-key'] = apiKeys[activeKeyIndex];
     }
 
-    let mapData: any = null;
-    let lastError: any = null;
-
-    for (const idx of order) {
-      const key = apiKeys[idx];
-      const resp = await fetch('/api/analyze/excel-header', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-gemini-api-key': key,
-          'x-gemini-model': selectedModel, // 传递选择的模型
-        },
-        body: JSON.stringify({ headers }),
-      });
-
-      if (resp.status === 429) {
-        lastError = new Error(`密钥 ${idx + 1} 触发频率限制`);
-        continue;
-      }
-      if (!resp.ok) {
-        const text = await resp.text();
-        throw new Error(text || '服务器处理表头时出错');
-      }
+    const resp = await fetch('/api/import/spreadsheet', {
+      method: 'POST',
+      headers,
+      body: formData,
+    });
 
-      mapData = await resp.json();
-      setActiveKeyIndex(idx);
-      break;
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok) {
+      throw new Error(data.message || '服务器处理表格时出错');
     }
 
-    if (!mapData) {
-      if (lastError) throw lastError;
-      throw new Error("分析表头失败");
-    }
-    const dateColIdx = mapData.dateColumnIndex;
-    const mappings = mapData.mappings || [];
+    addRecordsFromData(data.records);
+    fetchApiStats(); // 刷新调用统计
 
-    if (dateColIdx === undefined || dateColIdx === -1) {
-      console.warn("AI failed to find date column, using 0");
+    const notes: string[] = [];
+    if (data.unmatchedColumns?.length > 0) {
+      notes.push(`以下列未能识别，已忽略：${data.unmatchedColumns.map((c: any) => c.name).join('、')}`);
     }
-
-    // 4. Parse rows locally
-    setStatusMsg(`正在解析 ${jsonData.length} 条数据...`);
-    const newRecords: MedicalRecord[] = [];
-    const usedDateCol = (dateColIdx !== undefined && dateColIdx !== -1) ? dateColIdx : 0;
-
-    const dateRegex = /(\d{4})[\.\-\/](\d{1,2})[\.\-\/](\d{1,2})/;
-
-    for (let i = headerRowIndex + 1; i < jsonData.length; i++) {
-      const row = jsonData[i] as any[];
-      if (!row) continue;
-
-      let dateVal = row[usedDateCol];
-      let timestamp = 0;
-      let isValidDate = false;
-      let extraContext = "";
-
-      if (dateVal instanceof Date) {
-        timestamp = dateVal.getTime();
-        isValidDate = true;
-      } else if (typeof dateVal === 'string') {
-        const strVal = dateVal.trim();
-        const match = strVal.match(dateRegex);
-
-        if (match) {
-          const year = parseInt(match[1]);
-          const month = parseInt(match[2]) - 1;
-          const day = parseInt(match[3]);
-          const d = new Date(year, month, day);
-          if (!isNaN(d.getTime())) {
-            timestamp = d.getTime();
-            isValidDate = true;
-            extraContext = strVal.replace(match[0], '').trim();
-          }
-        }
-      }
-
-      if (!isValidDate) continue;
-
-      const items: MedicalItem[] = [];
-      mappings.forEach((m: any) => {
-        const val = row[m.columnIndex];
-        if (val !== null && val !== undefined && String(val).trim() !== '') {
-          let cleanVal = String(val).trim();
-          cleanVal = cleanVal.replace(/[↑↓]/g, '');
-          items.push({
-            id: m.id || 'unknown',
-            name: m.name || 'Unknown',
-            value: cleanVal,
-            unit: '',
-            range: '',
-            categoryName: m.category || '其他'
-          });
-        }
-      });
-
-      if (items.length > 0) {
-        let recordTitle = '复查记录';
-        let recordHospital = '';
-        if (extraContext) {
-          recordHospital = extraContext;
-          if (extraContext.includes('住院')) recordTitle = '住院检查';
-          else recordTitle = '门诊复查';
-        }
-
-        newRecords.push({
-          id: generateId(),
-          title: recordTitle,
-          date: timestamp,
-          hospital: recordHospital,
-          doctor: '',
-          nextReviewDate: timestamp + (30 * 24 * 60 * 60 * 1000),
-          notes: '',
-          prescription: '',
-          configName: 'Excel 导入',
-          items: items,
-          medications: [],
-          remarkPhotos: [],
-          createdAt: Date.now(),
-          updatedAt: Date.now(),
-        });
-      }
+    if (data.ai?.error) {
+      notes.push(`AI 表头识别未完成：${data.ai.message}`);
     }
-
-    if (newRecords.length === 0) {
-      throw new Error("未能解析出有效数据行，请检查 Excel 日期列");
+    if (data.truncated) {
+      notes.push('表格行数过多，只导入了前面部分');
+    }
+    if (notes.length > 0) {
+      alert(`已导入 ${data.records.length} 条记录。\n\n${notes.join('\n')}`);
     }
-
-    addRecordsFromData(newRecords);
   };
 
   const addRecordsFromData = (newRecs: any[]) => {
@@ -586,9 +485,16 @@ const App = () => {
       alert("没有记录可导出");
       return;
     }
+    // 导出时统一使用换算后的单位，原始值保留在 rawValue/rawUnit 中，便于跨医院对比
     const exportData: ExportFormat = {
       exportDate: formatDate(new Date()),
-      medicalRecords: records
+      medicalRecords: records.map(r => ({
+        ...r,
+        items: r.items.map(item => item.normalizedValue !== undefined && item.normalizedUnit
+          ? { ...item, value: String(item.normalizedValue), unit: item.normalizedUnit, rawValue: item.value, rawUnit: item.unit }
+          : item
+        )
+      }))
     };
     const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
@@ -786,8 +692,8 @@ const App = () => {
                 <i className="fa-solid fa-camera text-3xl"></i>
               </div>
               <h3 className="text-lg font-bold text-blue-900 mb-2">识别图片</h3>
-              <p className="text-sm text-blue-600/80">支持多张上传<br />自动提取各项指标</p>
-              <input ref={imgInputRef} type="file" accept="image/*" multiple className="hidden" onChange={(e) => handleFileUpload(e, 'image')} />
+              <p className="text-sm text-blue-600/80">支持多张图片或 PDF 报告<br />自动提取各项指标</p>
+              <input ref={imgInputRef} type="file" accept="image/*,application/pdf" multiple className="hidden" onChange={(e) => handleFileUpload(e, 'image')} />
             </div>
 
             {/* Excel Upload */}
@@ -800,7 +706,7 @@ const App = () => {
               </div>
               <h3 className="text-lg font-bold text-emerald-900 mb-2">读取 Excel</h3>
               <p className="text-sm text-emerald-600/80">支持 .xlsx / .xls<br />批量导入历史数据</p>
-              <input ref={excelInputRef} type="file" accept=".xlsx, .xls" className="hidden" onChange={(e) => handleFileUpload(e, 'excel')} />
+              <input ref={excelInputRef} type="file" accept=".xlsx, .xls, .csv" className="hidden" onChange={(e) => handleFileUpload(e, 'excel')} />
             </div>
           </div>
 
@@ -868,6 +774,15 @@ const RecordCard: React.FC<RecordCardProps> = ({ record, onDelete, onUpdate }) =
   const handleItemChange = (index: number, field: string, val: string) => {
     const newItems = [...record.items];
     newItems[index] = { ...newItems[index], [field]: val };
+    // 手动修改结果值或单位后，服务端换算值和异常标记已失效
+    if (field === 'value' || field === 'unit') {
+      delete newItems[index].normalizedValue;
+      delete newItems[index].normalizedUnit;
+      delete newItems[index].flag;
+      delete newItems[index].abnormal;
+      // 用户已手动核对过
+      delete newItems[index].lowConfidence;
+    }
     onUpdate(record.id, { items: newItems });
   };
 
@@ -899,6 +814,12 @@ const RecordCard: React.FC<RecordCardProps> = ({ record, onDelete, onUpdate }) =
             <div className="flex items-center gap-3 mt-1 text-sm text-gray-500">
               <span className="bg-gray-100 px-2 py-0.5 rounded text-gray-600">{record.configName}</span>
               <span>{record.items.length} 项指标</span>
+              {record.items.some(item => item.abnormal) && (
+                <span className="text-red-500">{record.items.filter(item => item.abnormal).length} 项异常</span>
+              )}
+              {record.items.some(item => item.lowConfidence) && (
+                <span className="text-amber-600">{record.items.filter(item => item.lowConfidence).length} 项待核对</span>
+              )}
             </div>
           </div>
         </div>
@@ -962,12 +883,15 @@ const RecordCard: React.FC<RecordCardProps> = ({ record, onDelete, onUpdate }) =
                     <th className="px-4 py-3 font-medium">项目名称</th>
                     <th className="px-4 py-3 font-medium">结果值</th>
                     <th className="px-4 py-3 font-medium">单位</th>
+                    <th className="px-4 py-3 font-medium">换算值</th>
                     <th className="px-4 py-3 font-medium w-10">操作</th>
                   </tr>
                 </thead>
                 <tbody className="divide-y divide-gray-100">
-                  {record.items.map((item, idx) => (
-                    <tr key={idx} className="hover:bg-blue-50/30 transition-colors group">
+                  {record.items.map((item, idx) => {
+                    const flagStyle = item.abnormal && item.flag ? FLAG_STYLES[item.flag] : undefined;
+                    return (
+                    <tr key={idx} className={`hover:bg-blue-50/30 transition-colors group ${flagStyle?.row || ''}`}>
                       <td className="p-2 pl-4">
                         <input
                           value={item.id}
@@ -984,11 +908,24 @@ const RecordCard: React.FC<RecordCardProps> = ({ record, onDelete, onUpdate }) =
                         />
                       </td>
                       <td className="p-2">
-                        <input
-                          value={item.value}
-                          onChange={(e) => handleItemChange(idx, 'value', e.target.value)}
-                          className="w-full bg-transparent border-b border-transparent focus:border-blue-300 focus:outline-none py-1 font-bold text-gray-900"
-                        />
+                        <div
+                          className={`flex items-center gap-1 ${item.lowConfidence ? 'bg-amber-50 ring-1 ring-amber-300 rounded px-1' : ''}`}
+                          title={item.lowConfidence ? describeLowConfidence(item) : undefined}
+                        >
+                          <input
+                            value={item.value}
+                            onChange={(e) => handleItemChange(idx, 'value', e.target.value)}
+                            className="w-full bg-transparent border-b border-transparent focus:border-blue-300 focus:outline-none py-1 font-bold text-gray-900"
+                          />
+                          {item.lowConfidence && (
+                            <i className="fa-solid fa-triangle-exclamation text-amber-500 text-xs"></i>
+                          )}
+                          {flagStyle && (
+                            <span className={`text-xs font-bold whitespace-nowrap ${flagStyle.badge}`} title={`参考范围: ${item.range || '未提供'}`}>
+                              {flagStyle.label}
+                            </span>
+                          )}
+                        </div>
                       </td>
                       <td className="p-2">
                         <input
@@ -997,13 +934,19 @@ const RecordCard: React.FC<RecordCardProps> = ({ record, onDelete, onUpdate }) =
                           className="w-full bg-transparent border-b border-transparent focus:border-blue-300 focus:outline-none py-1 text-gray-400 text-xs"
                         />
                       </td>
+                      <td className="p-2 text-xs text-gray-500 whitespace-nowrap">
+                        {item.normalizedValue !== undefined
+                          ? `${item.normalizedValue} ${item.normalizedUnit || ''}`
+                          : <span className="text-gray-300">-</span>}
+                      </td>
                       <td className="p-2 pr-4 text-center">
                         <button onClick={() => removeItem(idx)} className="text-gray-300 hover:text-red-500 opacity-0 group-hover:opacity-100 transition-opacity">
                           <i className="fa-solid fa-xmark"></i>
                         </button>
                       </td>
                     </tr>
-                  ))}
+                    );
+                  })}
                 </tbody>
               </table>
             </div>
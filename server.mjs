@@ -2,6 +2,9 @@ import express from "express";
 import multer from "multer";
 import path from "path";
 import fs from "fs";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import { createRequire } from "module";
 
 // 延迟加载 GoogleGenAI 以减少空闲内存
 let GoogleGenAI = null;
@@ -13,10 +16,52 @@ const loadGenAI = async () => {
   return GoogleGenAI;
 };
 
+// 延迟加载 PDF 解析和渲染库（仅在上传 PDF 时加载）
+let pdfjsLib = null;
+const loadPdfjs = async () => {
+  if (!pdfjsLib) {
+    pdfjsLib = await import("pdfjs-dist/legacy/build/pdf.mjs");
+  }
+  return pdfjsLib;
+};
+
+let napiCanvas = null;
+const loadCanvas = async () => {
+  if (!napiCanvas) {
+    napiCanvas = await import("@napi-rs/canvas");
+  }
+  return napiCanvas;
+};
+
+// 延迟加载图片处理库（首次识别图片时加载），关闭缓存并限制线程以控制内存
+let sharpLib = null;
+const loadSharp = async () => {
+  if (!sharpLib) {
+    sharpLib = (await import("sharp")).default;
+    sharpLib.cache(false);
+    sharpLib.concurrency(1);
+  }
+  return sharpLib;
+};
+
+// 延迟加载表格解析库（首次导入表格时加载）
+// 使用 CommonJS 构建：ESM 构建不含代码页表，GBK 编码的旧版 .xls 会读成乱码
+let xlsxLib = null;
+const loadXlsx = async () => {
+  if (!xlsxLib) {
+    xlsxLib = createRequire(import.meta.url)("xlsx");
+  }
+  return xlsxLib;
+};
+
 const app = express();
 // 使用内存存储但限制文件大小，处理完立即释放
+// 默认 5MB；内存存储加图片解码会随上传大小成倍占用内存，确需更大时通过 UPLOAD_MAX_BYTES 调高（PDF 另有 PDF_MAX_BYTES 限制）
+const UPLOAD_MAX_BYTES = parseInt(process.env.UPLOAD_MAX_BYTES) || 5 * 1024 * 1024;
+// JSON 请求体（base64 图片）默认 10MB，调高 UPLOAD_MAX_BYTES 时按 base64 膨胀同步放宽
+const JSON_BODY_LIMIT = Math.max(10 * 1024 * 1024, Math.ceil(UPLOAD_MAX_BYTES * 1.5));
 const upload = multer({
-  limits: { fileSize: 5 * 1024 * 1024 }, // 降低到 5MB 限制
+  limits: { fileSize: UPLOAD_MAX_BYTES },
   storage: multer.memoryStorage()
 });
 
@@ -29,6 +74,27 @@ const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || "600606";
 const DATA_DIR = process.env.DATA_DIR || "/data";
 const USAGE_LOG_FILE = path.join(DATA_DIR, "usage_logs.json");
 
+// 本地 JSON 文件的读改写按文件排队、异步执行，避免并发请求互相覆盖，也不阻塞事件循环
+// update(current) 返回写入的新内容；返回的 Promise 在写入完成后得到新内容
+const localFileQueues = new Map();
+const updateLocalJsonFile = (file, update) => {
+  const previous = localFileQueues.get(file) || Promise.resolve();
+  const task = previous.then(async () => {
+    let current = {};
+    try {
+      current = JSON.parse(await fs.promises.readFile(file, "utf-8"));
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error(`[Storage] Failed to read ${path.basename(file)}:`, err.message);
+    }
+    const next = await update(current);
+    await fs.promises.writeFile(file, JSON.stringify(next), "utf-8");
+    return next;
+  });
+  // 写入失败不影响后续排队的任务
+  localFileQueues.set(file, task.catch(() => {}));
+  return task;
+};
+
 // 从环境变量读取 API Keys（支持多个，用逗号分隔）
 const ENV_API_KEYS = (process.env.GEMINI_API_KEY || "")
   .split(",")
@@ -354,32 +420,56 @@ const QUOTA_FILE = path.join(DATA_DIR, "user_quotas.json");
 // Redis 数据过期时间（21 天）
 const REDIS_DATA_TTL = 21 * 24 * 60 * 60;
 
-// Redis 操作辅助函数
+// Redis 操作辅助函数：出错时抛出异常（需要区分"键不存在"和"请求失败"时使用）
+const redisCommandOrThrow = async (command, ...args) => {
+  const response = await fetch(`${UPSTASH_REDIS_REST_URL}`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${UPSTASH_REDIS_REST_TOKEN}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify([command, ...args])
+  });
+
+  if (!response.ok) {
+    throw new Error(`Redis request failed: ${response.status}`);
+  }
+
+  const data = await response.json();
+  if (data.error) {
+    throw new Error(data.error);
+  }
+  return data.result;
+};
+
+// Redis 操作辅助函数：出错时返回 null
 const redisCommand = async (command, ...args) => {
   if (!USE_REDIS) return null;
 
   try {
-    const response = await fetch(`${UPSTASH_REDIS_REST_URL}`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${UPSTASH_REDIS_REST_TOKEN}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify([command, ...args])
-    });
-
-    if (!response.ok) {
-      throw new Error(`Redis request failed: ${response.status}`);
-    }
-
-    const data = await response.json();
-    return data.result;
+    return await redisCommandOrThrow(command, ...args);
   } catch (err) {
     console.error(`[Redis] Command ${command} failed:`, err.message);
     return null;
   }
 };
 
+// 读取后台配置类的 JSON（Redis 键或本地文件）：不存在时返回 {}，读取或解析失败时抛出异常，
+// 调用方据此区分"尚未配置"和"读取失败"，避免在读取失败后用空对象覆盖已保存的配置
+const readAdminJson = async (redisKey, file) => {
+  if (USE_REDIS) {
+    const data = await redisCommandOrThrow('GET', redisKey);
+    return data ? JSON.parse(data) : {};
+  }
+  // 降级到本地文件
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (err) {
+    if (err.code === 'ENOENT') return {};
+    throw err;
+  }
+};
+
 // 工具函数：获取当前周标识 (e.g. "2025-W51")
 // 使用 ISO 8601 标准周数计算，确保周数在整个一周内保持一致
 const getCurrentWeekId = () => {
@@ -480,7 +570,7 @@ const saveQuotaCodes = async (codes) => {
 
 // ===== 全局配额配置 =====
 // ========== OCR iFlow 配置 ==========
-// OCR 与智能小结共用 IFLOW_AI_API_KEY（在智能小结部分定义）
+// OCR 与智能小结共用 IFLOW_AI_API_KEY（服务商定义见「AI 服务商注册表」）
 
 // Gemini OCR 模型选项
 const GEMINI_OCR_MODEL_OPTIONS = {
@@ -506,6 +596,9 @@ const DEFAULT_QUOTA_CONFIG = {
   
   // OCR API源选择: 'gemini' 或 'iflow'
   ocrApiProvider: 'gemini',
+
+  // OCR 故障转移顺序：主 API 源限流/故障时依次尝试（只有一个元素表示关闭故障转移）
+  ocrProviderChain: ['gemini', 'iflow'],
   
   // Gemini OCR 各用户等级使用的模型
   geminiNormalOcrModel: 'gemini-2.5-flash-lite',
@@ -515,7 +608,28 @@ const DEFAULT_QUOTA_CONFIG = {
   // iFlow OCR 各用户等级使用的模型
   iflowNormalOcrModel: 'qwen3-vl-plus',
   iflowProOcrModel: 'qwen3-vl-plus',
-  iflowKingOcrModel: 'glm-4.6'
+  iflowKingOcrModel: 'glm-4.6',
+
+  // eGFR 默认计算公式（请求中可通过 egfrFormula 覆盖）
+  egfrFormula: 'ckd-epi-2021',
+
+  // 多页报告（images 数组）各用户等级单次最多页数
+  maxPagesNormal: 2,
+  maxPagesPro: 3,
+  maxPagesKing: 5,
+
+  // OCR 结果缓存时长（小时），0 表示关闭缓存
+  ocrCacheTtlHours: 72,
+
+  // 识别置信度低于该值的项目标记为待核对（0-1）
+  lowConfidenceThreshold: 0.8,
+
+  // 图片预处理：按 EXIF 旋正、缩放到长边上限、重新压缩，可选灰度 + 对比度增强
+  imagePreprocessEnabled: true,
+  imageMaxDimension: 2048,
+  imageOutputFormat: 'jpeg',
+  imageQuality: 85,
+  imageEnhance: false
 };
 
 // 获取全局配额配置
@@ -643,6 +757,28 @@ const checkAndConsumeQuota = async (userId, nickname) => {
   return { allowed: false, reason: "quota_exceeded", remaining: 0, isUnlimited: false, isPro: user.isPro };
 };
 
+// 查询用户等级（不消耗额度）：king / pro / normal
+const getQuotaUserLevel = async (userId) => {
+  if (!userId) return 'normal';
+  const users = await getQuotaUsers();
+  const user = users[userId];
+  if (user?.isUnlimited) return 'king';
+  if (user?.isPro) return 'pro';
+  return 'normal';
+};
+
+// 按用户等级获取多页报告的最大页数
+const getMaxPages = (config, userLevel) => {
+  switch (userLevel) {
+    case 'king':
+      return config.maxPagesKing;
+    case 'pro':
+      return config.maxPagesPro;
+    default:
+      return config.maxPagesNormal;
+  }
+};
+
 // ========== API 调用次数统计（Redis 持久化）==========
 let apiCallStats = {
   imageAnalyze: 0,      // 图片识别（multipart）
@@ -712,28 +848,137 @@ const incrementApiStats = async (type) => {
 // ========== 并发控制 ==========
 // 限制同时处理的请求数，防止内存飙升
 const MAX_CONCURRENT_REQUESTS = 2; // 最多同时处理2个请求
+const MAX_QUEUE_LENGTH = parseInt(process.env.MAX_QUEUE_LENGTH) || 20;            // 等待队列上限，满时返回 503
+const QUEUE_WAIT_TIMEOUT_MS = parseInt(process.env.QUEUE_WAIT_TIMEOUT_MS) || 60 * 1000; // 同步请求最长等待时间
+
+// 排队优先级：数字越小越先处理，同优先级先到先得
+const QUEUE_PRIORITIES = {
+  king: 0,    // KING 用户（isUnlimited）
+  pro: 1,     // Pro 用户
+  normal: 2,  // 小程序普通用户
+  web: 3      // 网页端匿名请求
+};
+
 let activeRequests = 0;
 const requestQueue = [];
+let queueSeq = 0;
+
+// 排队统计（/api/health 展示）
+const queueStats = {
+  rejectedFull: 0,     // 队列满被拒绝的请求数
+  timedOut: 0,         // 等待超时的请求数
+  recentWaits: []      // 最近获得槽位的等待时间（毫秒）
+};
+const MAX_RECENT_WAITS = 100;
 
-const acquireSlot = () => {
-  return new Promise((resolve) => {
-    if (activeRequests < MAX_CONCURRENT_REQUESTS) {
+// 获取并发槽位：priority 为 QUEUE_PRIORITIES 中的等级，jobId 用于查询异步任务排队位置
+// 队列已满时抛出 QUEUE_FULL，等待超过 timeoutMs 时抛出 QUEUE_TIMEOUT
+const acquireSlot = ({ priority = 'normal', jobId = null, timeoutMs = QUEUE_WAIT_TIMEOUT_MS } = {}) => {
+  return new Promise((resolve, reject) => {
+    if (activeRequests < MAX_CONCURRENT_REQUESTS && requestQueue.length === 0) {
       activeRequests++;
       resolve();
+      return;
+    }
+
+    if (requestQueue.length >= MAX_QUEUE_LENGTH) {
+      queueStats.rejectedFull++;
+      reject(new Error("QUEUE_FULL"));
+      return;
+    }
+
+    const entry = {
+      resolve,
+      reject,
+      jobId,
+      priority,
+      rank: QUEUE_PRIORITIES[priority] ?? QUEUE_PRIORITIES.normal,
+      seq: queueSeq++,
+      enqueuedAt: Date.now(),
+      timer: null
+    };
+
+    entry.timer = setTimeout(() => {
+      const index = requestQueue.indexOf(entry);
+      if (index !== -1) {
+        requestQueue.splice(index, 1);
+        queueStats.timedOut++;
+        reject(new Error("QUEUE_TIMEOUT"));
+      }
+    }, timeoutMs);
+
+    // 按优先级插入（同优先级排在末尾）
+    const insertAt = requestQueue.findIndex(item => item.rank > entry.rank);
+    if (insertAt === -1) {
+      requestQueue.push(entry);
     } else {
-      requestQueue.push(resolve);
+      requestQueue.splice(insertAt, 0, entry);
     }
   });
 };
 
+// 异步任务在等待队列中的位置（从 1 开始，不在队列中返回 0）
+const getQueuePosition = (jobId) => requestQueue.findIndex(entry => entry.jobId === jobId) + 1;
+
 const releaseSlot = () => {
   activeRequests--;
   if (requestQueue.length > 0) {
     const next = requestQueue.shift();
+    clearTimeout(next.timer);
+    queueStats.recentWaits.push(Date.now() - next.enqueuedAt);
+    if (queueStats.recentWaits.length > MAX_RECENT_WAITS) {
+      queueStats.recentWaits.shift();
+    }
     activeRequests++;
-    next();
+    next.resolve();
   }
 };
+
+// 建议客户端重试的等待秒数（按最近平均等待时间估算，至少 5 秒）
+const getRetryAfterSeconds = () => {
+  const waits = queueStats.recentWaits;
+  const avgWait = waits.length > 0 ? waits.reduce((sum, ms) => sum + ms, 0) / waits.length : 0;
+  return Math.max(5, Math.ceil(avgWait / 1000));
+};
+
+// 队列满或等待超时时返回 503 和 Retry-After；其他错误返回 null
+const sendQueueUnavailable = (res, err) => {
+  const message = err instanceof Error ? err.message : String(err);
+  if (message !== "QUEUE_FULL" && message !== "QUEUE_TIMEOUT") return null;
+
+  const retryAfter = getRetryAfterSeconds();
+  res.set("Retry-After", String(retryAfter));
+  return res.status(503).json({
+    error: message,
+    message: message === "QUEUE_FULL" ? "服务器繁忙，排队人数已满，请稍后重试" : "排队等待超时，请稍后重试",
+    retryAfter
+  });
+};
+
+// 队列状态（/api/health 展示）
+const getQueueHealth = () => {
+  const now = Date.now();
+  const waits = queueStats.recentWaits;
+  const queuedByPriority = Object.fromEntries(Object.keys(QUEUE_PRIORITIES).map(priority => [priority, 0]));
+  requestQueue.forEach(entry => { queuedByPriority[entry.priority] = (queuedByPriority[entry.priority] || 0) + 1; });
+
+  return {
+    maxConcurrent: MAX_CONCURRENT_REQUESTS,
+    activeRequests: activeRequests,
+    queuedRequests: requestQueue.length,
+    maxQueueLength: MAX_QUEUE_LENGTH,
+    waitTimeoutMs: QUEUE_WAIT_TIMEOUT_MS,
+    queuedByPriority,
+    oldestWaitMs: requestQueue.length > 0 ? now - Math.min(...requestQueue.map(entry => entry.enqueuedAt)) : 0,
+    recentWaitMs: {
+      samples: waits.length,
+      avg: waits.length > 0 ? Math.round(waits.reduce((sum, ms) => sum + ms, 0) / waits.length) : 0,
+      max: waits.length > 0 ? Math.max(...waits) : 0
+    },
+    rejectedFull: queueStats.rejectedFull,
+    timedOut: queueStats.timedOut
+  };
+};
 // ========== 内存管理与空闲资源清理 ==========
 // 空闲检测阈值
 const IDLE_THRESHOLD_MS = 2 * 60 * 1000; // 2分钟空闲后开始清理
@@ -802,6 +1047,7 @@ Output Rules:
 2. The JSON must match this structure EXACTLY:
 {
   "title": "检查报告标题",
+  "reportType": "报告类型代码（见下方报告类型规则）",
   "date": "YYYY-MM-DD格式的日期字符串",
   "hospital": "医院名称",
   "doctor": "医生姓名（如无则留空字符串）",
@@ -811,18 +1057,175 @@ Output Rules:
       "name": "检查项名称",
       "value": "检测值（字符串）",
       "unit": "单位",
-      "range": "参考范围"
+      "range": "参考范围",
+      "confidence": 0.95,
+      "source": { "page": 1, "line": 12, "bbox": [120, 80, 150, 900] }
     }
   ]
 }
 
 IMPORTANT:
 - date MUST be a STRING in format "YYYY-MM-DD" (e.g. "2025-12-15"), NOT a timestamp number
-- items array should only contain: name, value, unit, range
+- items array should only contain: name, value, unit, range, confidence, source
+- confidence is a NUMBER between 0 and 1: how sure you are that name, value and unit were read correctly.
+  Lower it for blurry, cut-off, handwritten or ambiguous characters (e.g. a decimal point that may be missing: 1.85 vs 185)
+- source locates the value in the input: page is the 1-based page/image number, line is the 1-based line number of the row on that page,
+  bbox is [ymin, xmin, ymax, xmax] of the row normalized to 0-1000. Omit bbox when the input is text; omit source entirely if unknown
 - Do NOT add fields like "id", "categoryName", "configName"
 - Extract ALL test items from the image
 `;
 
+const PRESCRIPTION_SYSTEM_PROMPT = `
+You are a medical data assistant for kidney disease patients.
+Your task is to extract a prescription or medication list from images and convert it into a structured JSON object.
+
+Output Rules:
+1. Return ONLY a valid JSON object, no extra text.
+2. The JSON must match this structure EXACTLY:
+{
+  "title": "处方标题（如“门诊处方”“出院带药”）",
+  "date": "YYYY-MM-DD格式的日期字符串",
+  "hospital": "医院名称",
+  "doctor": "医生姓名（如无则留空字符串）",
+  "notes": "诊断或医嘱备注（如无则留空字符串）",
+  "prescription": "处方原文：每个药品一行，包含药名、规格、数量和用法（如无则留空字符串）",
+  "medications": [
+    {
+      "name": "药品名称",
+      "dosage": "规格或每次剂量，如 0.5g、10mg",
+      "usage": "用法，如 口服 饭后",
+      "timesPerDay": 3,
+      "amountPerDose": 1
+    }
+  ]
+}
+
+IMPORTANT:
+- date MUST be a STRING in format "YYYY-MM-DD" (e.g. "2025-12-15"), NOT a timestamp number
+- medications array should only contain: name, dosage, usage, timesPerDay, amountPerDose
+- timesPerDay is a NUMBER of doses per day: qd/每日一次/每晚 = 1, bid/每日两次 = 2, tid/每日三次 = 3, qid/每日四次 = 4;
+  for weekly or as-needed (prn) medications use 0 and keep the original wording in usage
+- amountPerDose is a NUMBER of units per dose (e.g. "每次2片" = 2, "每次半片" = 0.5); use 0 if not stated
+- Extract ALL medications from the image
+`;
+
+// ========== 报告类型与分类提示词 ==========
+// 血常规、尿常规、肾功能等报告版式差异很大：检验单识别时模型先判断 reportType，
+// 再按该类型的提取规则输出（同一次调用完成，不重复发送图片）。各类型规则可在管理后台修改
+
+const REPORT_TYPE_PROMPTS_FILE = path.join(DATA_DIR, "report_type_prompts.json");
+const REPORT_TYPE_PROMPTS_REDIS_KEY = 'ocr:report-type-prompts';
+
+const DEFAULT_REPORT_TYPES = {
+  blood_routine: {
+    name: '血常规',
+    prompt: `Complete blood count. Keep the printed abbreviation in the name when present (e.g. "白细胞计数 WBC").
+Percentages and absolute counts are different items (e.g. "中性粒细胞百分比" and "中性粒细胞绝对值"); output both.
+Units such as 10^9/L and 10^12/L must be copied exactly, including the exponent.`
+  },
+  urine_routine: {
+    name: '尿常规',
+    prompt: `Urinalysis. Many results are qualitative: copy them as printed ("阴性", "-", "+", "2+", "±") into value and keep unit "".
+Copy the reference range as printed (e.g. "阴性"). Microscopy counts (红细胞, 白细胞 per HPF or /μL) keep their units.`
+  },
+  renal_function: {
+    name: '肾功能',
+    prompt: `Renal function panel (肌酐, 尿素氮, 尿酸, 胱抑素C, eGFR, electrolytes, CO2).
+Be careful with decimal points in creatinine and urea values and never change the printed unit (μmol/L vs mg/dL).
+If the report prints an eGFR value, extract it as its own item.`
+  },
+  urine_protein_24h: {
+    name: '24小时尿蛋白',
+    prompt: `24-hour urine protein. Extract total urine volume (尿量, mL or L), protein concentration and 24h protein quantity (g/24h or mg/24h) as separate items.
+Also extract urine creatinine, microalbumin or ACR/PCR values when printed.`
+  },
+  immunology: {
+    name: '免疫',
+    prompt: `Immunology (complement C3/C4, immunoglobulins, ANA, anti-dsDNA, ANCA, anti-PLA2R, etc.).
+Qualitative results ("阴性", "阳性", titres like "1:100") go into value as printed; keep numeric index values and their units when both are printed.`
+  },
+  imaging: {
+    name: '影像',
+    prompt: `Imaging report (B超, CT, MRI). Put the findings (所见) and impression (诊断/提示) text into notes.
+Only list measurable values as items (e.g. "左肾长径" "110" "mm"); leave range "" when none is printed.`
+  },
+  other: {
+    name: '其他',
+    prompt: `Any other lab report. Extract every test item as printed.`
+  }
+};
+
+// 获取各报告类型的提取规则（内置默认 + 管理后台修改）
+// 读取失败时使用默认规则，loadFailed 为 true（后台修改时据此拒绝保存）
+const getReportTypePrompts = async () => {
+  let custom = {};
+  let loadFailed = false;
+  try {
+    custom = await readAdminJson(REPORT_TYPE_PROMPTS_REDIS_KEY, REPORT_TYPE_PROMPTS_FILE);
+  } catch (err) {
+    console.error("[Storage] Failed to get report type prompts:", err.message);
+    loadFailed = true;
+  }
+
+  const merged = {};
+  for (const [type, entry] of Object.entries(DEFAULT_REPORT_TYPES)) {
+    const customPrompt = typeof custom[type] === 'string' && custom[type].trim() ? custom[type] : null;
+    merged[type] = {
+      name: entry.name,
+      prompt: customPrompt || entry.prompt,
+      defaultPrompt: entry.prompt,
+      customized: !!customPrompt
+    };
+  }
+  return { merged, custom, loadFailed };
+};
+
+// 保存自定义提取规则（{ type: prompt }，只保存与默认不同的类型）
+const saveReportTypePrompts = async (custom) => {
+  // redisCommand 出错时返回 null；读取只走 Redis，写入失败时不能降级到本地文件
+  if (USE_REDIS) {
+    const result = await redisCommand('SET', REPORT_TYPE_PROMPTS_REDIS_KEY, JSON.stringify(custom));
+    if (result === null) {
+      console.error("[Redis] Failed to save report type prompts");
+      return false;
+    }
+    return true;
+  }
+  // 降级到本地文件
+  try {
+    if (fs.existsSync(DATA_DIR)) {
+      fs.writeFileSync(REPORT_TYPE_PROMPTS_FILE, JSON.stringify(custom, null, 2), "utf-8");
+      return true;
+    }
+  } catch (err) {
+    console.error("[Storage] Failed to save report type prompts:", err.message);
+  }
+  return false;
+};
+
+// 组装检验单识别的系统提示词
+// reportType 为客户端指定的类型时只附带该类型规则，否则由模型从全部类型中判断
+const buildLabSystemPrompt = (typePrompts, reportType) => {
+  if (reportType && typePrompts[reportType]) {
+    return `${IMAGE_SYSTEM_PROMPT}
+Report type rules:
+This report is known to be "${reportType}" (${typePrompts[reportType].name}). Set reportType to "${reportType}" and follow these rules:
+${typePrompts[reportType].prompt}
+`;
+  }
+
+  const sections = Object.entries(typePrompts)
+    .map(([type, entry]) => `[${type}] ${entry.name}\n${entry.prompt}`)
+    .join('\n\n');
+  return `${IMAGE_SYSTEM_PROMPT}
+Report type rules:
+First decide reportType, which MUST be one of: ${Object.keys(typePrompts).join(', ')}.
+Then follow the extraction rules of that type:
+
+${sections}
+`;
+};
+
 // 使用括号计数找到 JSON 对象的正确结束位置
 const findJsonEnd = (text, startIndex) => {
   let depth = 0;
@@ -937,337 +1340,908 @@ const safeJsonParse = (text, context = "") => {
   }
 };
 
-// 获取 API Key（优先使用环境变量，其次使用请求头）
-const getApiKey = (req) => {
-  // 如果有环境变量配置的 Key，使用轮换策略
-  if (ENV_API_KEYS.length > 0) {
-    const key = ENV_API_KEYS[currentKeyIndex % ENV_API_KEYS.length];
-    currentKeyIndex++;
-    return key;
+// ========== 检验项目字典（OCR 结果标准化）==========
+// 模型只负责识别 name/value/unit/range，标准 ID 与分类统一由服务端字典决定，
+// 保证网页端和小程序拿到的 id（scr、egfr、bun、ua 等）稳定一致
+const LAB_DICTIONARY_FILE = path.join(DATA_DIR, "lab_dictionary.json");
+const LAB_DICTIONARY_REDIS_KEY = 'lab:dictionary';
+const UNKNOWN_LAB_CATEGORY = '其他';
+
+// 内置字典：id -> { name 标准中文名, abbr 英文缩写, aliases 常见别名, categoryName 分类 }
+const DEFAULT_LAB_DICTIONARY = {
+  // 肾功能
+  scr: { name: '血肌酐', abbr: 'SCr', aliases: ['肌酐', 'Cr', 'CREA', 'CRE', '血清肌酐', '肌酐(酶法)', '肌酐(苦味酸法)'], categoryName: '肾功能' },
+  bun: { name: '尿素氮', abbr: 'BUN', aliases: ['血尿素氮'], categoryName: '肾功能' },
+  // 尿素与尿素氮数值相同单位（mmol/L）时一致，但 mg/dL 的换算系数不同，需单独成项
+  urea: { name: '尿素', abbr: 'UREA', aliases: ['血尿素', '血清尿素'], categoryName: '肾功能' },
+  ua: { name: '尿酸', abbr: 'UA', aliases: ['血尿酸', 'URIC', 'URCA', '血清尿酸'], categoryName: '肾功能' },
+  egfr: { name: '估算肾小球滤过率', abbr: 'eGFR', aliases: ['肾小球滤过率', 'GFR', 'eGFR(CKD-EPI)', '估算GFR'], categoryName: '肾功能' },
+  cysc: { name: '胱抑素C', abbr: 'CysC', aliases: ['Cys-C', '血清胱抑素C', '胱抑素'], categoryName: '肾功能' },
+  b2mg: { name: 'β2微球蛋白', abbr: 'β2-MG', aliases: ['β2-微球蛋白', 'B2MG', 'B2-MG', 'β2MG'], categoryName: '肾功能' },
+  // 电解质
+  k: { name: '钾', abbr: 'K', aliases: ['血钾', 'K+', '钾离子'], categoryName: '电解质' },
+  na: { name: '钠', abbr: 'Na', aliases: ['血钠', 'Na+', '钠离子'], categoryName: '电解质' },
+  cl: { name: '氯', abbr: 'Cl', aliases: ['血氯', 'Cl-', '氯离子'], categoryName: '电解质' },
+  ca: { name: '钙', abbr: 'Ca', aliases: ['血钙', '总钙', 'Ca2+'], categoryName: '电解质' },
+  p: { name: '磷', abbr: 'P', aliases: ['血磷', '无机磷', 'PHOS', 'IP'], categoryName: '电解质' },
+  mg: { name: '镁', abbr: 'Mg', aliases: ['血镁', 'Mg2+'], categoryName: '电解质' },
+  co2: { name: '二氧化碳结合力', abbr: 'CO2CP', aliases: ['CO2', '总二氧化碳', 'TCO2', '碳酸氢根', 'HCO3-', 'HCO3'], categoryName: '电解质' },
+  // 血常规
+  wbc: { name: '白细胞计数', abbr: 'WBC', aliases: ['白细胞'], categoryName: '血常规' },
+  rbc: { name: '红细胞计数', abbr: 'RBC', aliases: ['红细胞'], categoryName: '血常规' },
+  hgb: { name: '血红蛋白', abbr: 'HGB', aliases: ['Hb', 'HB', '血红蛋白浓度'], categoryName: '血常规' },
+  hct: { name: '红细胞压积', abbr: 'HCT', aliases: ['红细胞比容', '血细胞比容'], categoryName: '血常规' },
+  plt: { name: '血小板计数', abbr: 'PLT', aliases: ['血小板'], categoryName: '血常规' },
+  // 尿常规
+  upro: { name: '尿蛋白', abbr: 'PRO', aliases: ['尿蛋白定性', '蛋白质', '蛋白', 'U-PRO'], categoryName: '尿常规' },
+  ubld: { name: '尿潜血', abbr: 'BLD', aliases: ['潜血', '隐血', '尿隐血', 'OB'], categoryName: '尿常规' },
+  uglu: { name: '尿糖', abbr: 'U-GLU', aliases: ['尿葡萄糖', '葡萄糖(尿)'], categoryName: '尿常规' },
+  sg: { name: '尿比重', abbr: 'SG', aliases: ['比重'], categoryName: '尿常规' },
+  uph: { name: '尿酸碱度', abbr: 'pH', aliases: ['酸碱度', '尿pH'], categoryName: '尿常规' },
+  uacr: { name: '尿微量白蛋白/肌酐比值', abbr: 'UACR', aliases: ['ACR', '尿白蛋白肌酐比', '尿白蛋白/肌酐', '尿微量白蛋白肌酐比值', 'mAlb/Cr'], categoryName: '尿常规' },
+  upcr: { name: '尿蛋白/肌酐比值', abbr: 'UPCR', aliases: ['PCR', '尿蛋白肌酐比', '尿蛋白肌酐比值'], categoryName: '尿常规' },
+  utp24h: { name: '24小时尿蛋白定量', abbr: '24hUTP', aliases: ['24h尿蛋白', '24小时尿蛋白', '尿蛋白定量', '24h尿蛋白定量', 'UTP'], categoryName: '尿常规' },
+  // 肝功能
+  alb: { name: '白蛋白', abbr: 'ALB', aliases: ['血清白蛋白', '清蛋白'], categoryName: '肝功能' },
+  tp: { name: '总蛋白', abbr: 'TP', aliases: ['血清总蛋白'], categoryName: '肝功能' },
+  alt: { name: '谷丙转氨酶', abbr: 'ALT', aliases: ['丙氨酸氨基转移酶', 'GPT'], categoryName: '肝功能' },
+  ast: { name: '谷草转氨酶', abbr: 'AST', aliases: ['天门冬氨酸氨基转移酶', 'GOT'], categoryName: '肝功能' },
+  // 血脂
+  tc: { name: '总胆固醇', abbr: 'TC', aliases: ['CHOL', '胆固醇'], categoryName: '血脂' },
+  tg: { name: '甘油三酯', abbr: 'TG', aliases: ['三酰甘油'], categoryName: '血脂' },
+  ldl: { name: '低密度脂蛋白胆固醇', abbr: 'LDL-C', aliases: ['LDL', '低密度脂蛋白'], categoryName: '血脂' },
+  hdl: { name: '高密度脂蛋白胆固醇', abbr: 'HDL-C', aliases: ['HDL', '高密度脂蛋白'], categoryName: '血脂' },
+  // 血糖
+  glu: { name: '葡萄糖', abbr: 'GLU', aliases: ['血糖', '空腹血糖', '空腹葡萄糖', 'FPG'], categoryName: '血糖' },
+  hba1c: { name: '糖化血红蛋白', abbr: 'HbA1c', aliases: ['HBA1C', 'A1C'], categoryName: '血糖' },
+  // 其他
+  pth: { name: '甲状旁腺激素', abbr: 'PTH', aliases: ['iPTH', '全段甲状旁腺激素'], categoryName: '其他' }
+};
+
+// 名称归一化：全角转半角、去空白和装饰符号、统一小写
+const normalizeLabName = (text) => {
+  return String(text || '')
+    .normalize('NFKC')
+    .replace(/[\s*★☆#＊·•]/g, '')
+    .replace(/^\d+[.、)]/, '')
+    .replace(/[↑↓]/g, '')
+    .toLowerCase();
+};
+
+// 获取完整字典（内置 + 管理后台自定义，自定义项按 id 覆盖/补充内置项）
+// 读取自定义项失败时只使用内置字典，loadFailed 为 true（后台修改时据此拒绝保存）
+const getLabDictionary = async () => {
+  let custom = {};
+  let loadFailed = false;
+  try {
+    custom = await readAdminJson(LAB_DICTIONARY_REDIS_KEY, LAB_DICTIONARY_FILE);
+  } catch (err) {
+    console.error("[Storage] Failed to get lab dictionary:", err.message);
+    loadFailed = true;
   }
-  // 否则尝试从请求头获取
-  const headerKey = req.header("x-gemini-api-key");
-  if (headerKey) {
-    return headerKey;
+
+  const merged = {};
+  for (const [id, entry] of Object.entries(DEFAULT_LAB_DICTIONARY)) {
+    merged[id] = { ...entry, aliases: [...entry.aliases], builtin: true };
   }
-  return null;
+  for (const [id, entry] of Object.entries(custom)) {
+    const base = merged[id];
+    merged[id] = {
+      ...(base || {}),
+      ...entry,
+      aliases: [...new Set([...(base?.aliases || []), ...(entry.aliases || [])])],
+      builtin: !!base,
+      customized: true
+    };
+  }
+  return { merged, custom, loadFailed };
 };
 
-const createClient = async (apiKey) => {
-  if (!apiKey) {
-    throw new Error("NO_API_KEY");
+// 保存自定义字典项
+const saveCustomLabDictionary = async (custom) => {
+  // redisCommand 出错时返回 null；读取只走 Redis，写入失败时不能降级到本地文件
+  if (USE_REDIS) {
+    const result = await redisCommand('SET', LAB_DICTIONARY_REDIS_KEY, JSON.stringify(custom));
+    if (result === null) {
+      console.error("[Redis] Failed to save lab dictionary");
+      return false;
+    }
+    return true;
   }
+  // 降级到本地文件
+  try {
+    if (fs.existsSync(DATA_DIR)) {
+      fs.writeFileSync(LAB_DICTIONARY_FILE, JSON.stringify(custom, null, 2), "utf-8");
+      return true;
+    }
+  } catch (err) {
+    console.error("[Storage] Failed to save lab dictionary:", err.message);
+  }
+  return false;
+};
 
-  // 更新最后请求时间
-  lastRequestTime = Date.now();
-
-  // 检查缓存
-  if (clientCache.has(apiKey)) {
-    return clientCache.get(apiKey);
+// 构建 别名 -> id 的查找表（标准名、缩写、别名都参与匹配）
+const buildLabAliasIndex = (dictionary) => {
+  const index = new Map();
+  for (const [id, entry] of Object.entries(dictionary)) {
+    for (const alias of [id, entry.name, entry.abbr, ...(entry.aliases || [])]) {
+      const key = normalizeLabName(alias);
+      if (key && !index.has(key)) index.set(key, id);
+    }
   }
+  return index;
+};
 
-  // 延迟加载 SDK
-  const GenAI = await loadGenAI();
-  const client = new GenAI({ apiKey });
+// 在字典中查找检验项：先整体匹配，再尝试括号内外的部分（如 "肌酐(CREA)"）
+const lookupLabItemId = (name, aliasIndex) => {
+  const key = normalizeLabName(name);
+  if (!key) return null;
+  if (aliasIndex.has(key)) return aliasIndex.get(key);
 
-  // 缓存客户端（只缓存环境变量的 key，避免缓存用户传入的 key）
-  if (ENV_API_KEYS.includes(apiKey)) {
-    clientCache.set(apiKey, client);
+  const bracket = key.match(/^(.+?)[(（\[](.+?)[)）\]]$/);
+  if (bracket) {
+    return aliasIndex.get(bracket[1]) || aliasIndex.get(bracket[2]) || null;
   }
+  return null;
+};
 
-  return client;
+// 对 OCR 结果做标准化：为每个检验项补充标准 id 和 categoryName
+// 字典中找不到的项目不做猜测，标记 unrecognized 并保留原始名称
+const normalizeLabItems = (data, dictionary) => {
+  if (!data || !Array.isArray(data.items)) return data;
+
+  const aliasIndex = buildLabAliasIndex(dictionary);
+  const unrecognizedItems = [];
+
+  data.items = data.items.map((item) => {
+    const id = lookupLabItemId(item.name, aliasIndex);
+    if (!id) {
+      unrecognizedItems.push(item.name);
+      return { ...item, id: '', categoryName: UNKNOWN_LAB_CATEGORY, unrecognized: true };
+    }
+    return { ...item, id, categoryName: dictionary[id].categoryName || UNKNOWN_LAB_CATEGORY };
+  });
+  data.unrecognizedItems = unrecognizedItems;
+
+  return data;
 };
 
-// CORS 中间件 - 支持小程序跨域请求
-app.use((req, res, next) => {
-  res.header("Access-Control-Allow-Origin", "*");
-  res.header("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, OPTIONS");
-  res.header(
-    "Access-Control-Allow-Headers",
-    "Content-Type, Authorization, x-gemini-api-key"
-  );
+// ========== 检验值单位换算 ==========
+// 不同医院的单位不一致（肌酐 μmol/L 与 mg/dL 等），换算成统一单位后才能跨医院对比
+// units: 单位 -> 换算到 baseUnit 的系数（基准值 = 原值 × 系数）；preferredUnit 为默认输出单位
+const LAB_UNIT_CONVERSIONS = {
+  scr: { baseUnit: 'μmol/L', preferredUnit: 'μmol/L', units: { 'μmol/L': 1, 'mg/dL': 88.4, 'mmol/L': 1000 } },
+  bun: { baseUnit: 'mmol/L', preferredUnit: 'mmol/L', units: { 'mmol/L': 1, 'mg/dL': 1 / 2.8 } }, // BUN mg/dL ÷ 2.8 = 尿素 mmol/L
+  urea: { baseUnit: 'mmol/L', preferredUnit: 'mmol/L', units: { 'mmol/L': 1, 'mg/dL': 1 / 6.006 } }, // 尿素 mg/dL ÷ 6.006 = mmol/L
+  ua: { baseUnit: 'μmol/L', preferredUnit: 'μmol/L', units: { 'μmol/L': 1, 'mg/dL': 59.48, 'mmol/L': 1000 } },
+  utp24h: { baseUnit: 'g/24h', preferredUnit: 'g/24h', units: { 'g/24h': 1, 'mg/24h': 0.001 } },
+  uacr: { baseUnit: 'mg/g', preferredUnit: 'mg/g', units: { 'mg/g': 1, 'mg/mmol': 8.84 } },
+  upcr: { baseUnit: 'mg/g', preferredUnit: 'mg/g', units: { 'mg/g': 1, 'g/g': 1000, 'mg/mmol': 8.84 } },
+  alb: { baseUnit: 'g/L', preferredUnit: 'g/L', units: { 'g/L': 1, 'g/dL': 10 } },
+  tp: { baseUnit: 'g/L', preferredUnit: 'g/L', units: { 'g/L': 1, 'g/dL': 10 } },
+  hgb: { baseUnit: 'g/L', preferredUnit: 'g/L', units: { 'g/L': 1, 'g/dL': 10 } },
+  glu: { baseUnit: 'mmol/L', preferredUnit: 'mmol/L', units: { 'mmol/L': 1, 'mg/dL': 1 / 18.016 } },
+  ca: { baseUnit: 'mmol/L', preferredUnit: 'mmol/L', units: { 'mmol/L': 1, 'mg/dL': 0.2495 } },
+  p: { baseUnit: 'mmol/L', preferredUnit: 'mmol/L', units: { 'mmol/L': 1, 'mg/dL': 0.3229 } },
+  tc: { baseUnit: 'mmol/L', preferredUnit: 'mmol/L', units: { 'mmol/L': 1, 'mg/dL': 0.02586 } },
+  tg: { baseUnit: 'mmol/L', preferredUnit: 'mmol/L', units: { 'mmol/L': 1, 'mg/dL': 0.01129 } }
+};
 
-  // 处理 OPTIONS 预检请求
-  if (req.method === "OPTIONS") {
-    return res.sendStatus(200);
+// 单位写法别名（归一化后的小写形式 -> 标准写法）
+const UNIT_ALIASES = {
+  'g/24hr': 'g/24h', 'g/d': 'g/24h', 'g/day': 'g/24h', 'g/24小时': 'g/24h',
+  'mg/24hr': 'mg/24h', 'mg/d': 'mg/24h', 'mg/day': 'mg/24h', 'mg/24小时': 'mg/24h',
+  'mg/gcr': 'mg/g', 'mg/mmolcr': 'mg/mmol', 'g/gcr': 'g/g'
+};
+
+// 单位归一化：全角转半角（µ 会转为 μ）、去空白、umol 视为 μmol，返回标准写法
+const normalizeUnit = (unit) => {
+  const key = String(unit || '')
+    .normalize('NFKC')
+    .replace(/\s/g, '')
+    .replace(/^u(?=mol)/i, 'μ')
+    .toLowerCase();
+  if (!key) return '';
+  if (UNIT_ALIASES[key]) return UNIT_ALIASES[key];
+  for (const conv of Object.values(LAB_UNIT_CONVERSIONS)) {
+    const match = Object.keys(conv.units).find((u) => u.toLowerCase() === key);
+    if (match) return match;
   }
-  next();
-});
+  return unit;
+};
 
-app.use(express.json({ limit: "10mb" }));
+// 从检测值字符串中解析数字（允许带 ↑↓、H/L 标记），无法确定数值时返回 null
+const parseLabNumber = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const clean = String(value ?? '')
+    .normalize('NFKC')
+    .replace(/[↑↓\s]/g, '')
+    .replace(/,/g, '')
+    .replace(/[HL]$/i, '');
+  if (!/^[-+]?\d+(\.\d+)?$/.test(clean)) return null;
+  return parseFloat(clean);
+};
 
-// ===========================================
-// API 端点：图片识别 - 用于网页端（支持 multipart/form-data）
-// ===========================================
-app.post("/api/analyze/image", upload.single("file"), async (req, res) => {
-  // 获取并发槽位（限制同时处理的请求数）
-  await acquireSlot();
+// 换算结果保留到合适的精度（避免 88.39999 这类浮点尾数）
+const roundLabValue = (value) => {
+  const abs = Math.abs(value);
+  const digits = abs >= 100 ? 1 : abs >= 1 ? 2 : 4;
+  return Number(value.toFixed(digits));
+};
 
-  try {
-    if (!req.file) {
-      return res.status(400).json({ error: "file is required" });
-    }
+// 获取某项目的首选单位（管理后台字典配置优先，否则使用换算表默认值）
+const getPreferredUnit = (id, dictionary) => {
+  const conv = LAB_UNIT_CONVERSIONS[id];
+  if (!conv) return null;
+  const configured = dictionary?.[id]?.preferredUnit;
+  return configured && conv.units[configured] ? configured : conv.preferredUnit;
+};
 
-    const base64Data = req.file.buffer.toString("base64");
-    const apiKey = getApiKey(req);
-    const client = await createClient(apiKey);
-
-    const response = await client.models.generateContent({
-      model: getModelName(req),
-      contents: {
-        parts: [
-          { inlineData: { mimeType: req.file.mimetype, data: base64Data } },
-          { text: "Extract medical data." },
-        ],
-      },
-      config: {
-        systemInstruction: IMAGE_SYSTEM_PROMPT,
-        responseMimeType: "application/json",
-      },
-    });
+// 将数值从一个单位换算到另一个单位，不支持时返回 null
+const convertLabValue = (id, value, fromUnit, toUnit) => {
+  const conv = LAB_UNIT_CONVERSIONS[id];
+  if (!conv || value === null) return null;
+  const from = conv.units[normalizeUnit(fromUnit)];
+  const to = conv.units[normalizeUnit(toUnit)];
+  if (!from || !to) return null;
+  return roundLabValue((value * from) / to);
+};
 
-    const data = safeJsonParse(response.text, "image-multipart");
+// 为每个已识别的检验项附加首选单位下的换算值（原始 value/unit 保持不变）
+const applyUnitConversions = (data, dictionary) => {
+  if (!data || !Array.isArray(data.items)) return data;
 
-    // 检查是否解析失败
-    if (data.error === "JSON_PARSE_FAILED") {
-      console.error("[image] JSON parse failed, raw preview:", data.rawTextPreview);
-      return res.status(500).json({
-        error: "JSON_PARSE_FAILED",
-        message: "Failed to parse Gemini response",
-        detail: data.parseError
-      });
-    }
+  data.items = data.items.map((item) => {
+    const preferredUnit = getPreferredUnit(item.id, dictionary);
+    if (!preferredUnit) return item;
 
-    // 统计成功调用（保存到 Redis）
-    incrementApiStats('image');
+    const normalizedValue = convertLabValue(item.id, parseLabNumber(item.value), item.unit, preferredUnit);
+    if (normalizedValue === null) return item;
 
-    // 记录用户使用（网页端没有用户ID，只记录 IP）
-    await logUserUsage(req, "image-web", {
-      itemsCount: data.items?.length || 0,
-      title: data.title || null
-    });
+    return { ...item, normalizedValue, normalizedUnit: preferredUnit };
+  });
 
-    return res.json(data);
-  } catch (err) {
-    console.error("Image analyze error:", err);
-    const message = err instanceof Error ? err.message : String(err);
-    if (
-      message.includes("429") ||
-      message.includes("Resource has been exhausted")
-    ) {
-      return res.status(429).json({
-        error: "RATE_LIMIT",
-        message,
-      });
-    }
-    if (message === "NO_API_KEY") {
-      return res.status(400).json({
-        error: "NO_API_KEY",
-        message: "No Gemini API key provided",
-      });
+  return data;
+};
+
+// ========== 参考范围解析与异常标记 ==========
+// 标记取值：high 偏高 / low 偏低 / normal 正常 / positive 阳性 / negative 阴性 / unparseable 无法判断
+const NEGATIVE_WORDS = /阴性|negative|未检出/i;
+const POSITIVE_WORDS = /阳性|positive|检出/i;
+const NEGATIVE_SYMBOLS = /^(neg|-|\(-\))$/i;
+const POSITIVE_SYMBOLS = /^(pos|±|\+-|[1-4]?\+{1,4}|\([1-4]?\+{1,4}\))$/i;
+const RANGE_NUMBER = '([-+]?\\d+(?:\\.\\d+)?)';
+const INTERVAL_PATTERN = new RegExp(`^${RANGE_NUMBER}(?:-|~|～|—|–|至|to)${RANGE_NUMBER}`, 'i');
+const UPPER_PATTERN = new RegExp(`^(<=|≤|<|小于等于|小于|低于|不超过)${RANGE_NUMBER}`);
+const LOWER_PATTERN = new RegExp(`^(>=|≥|>|大于等于|大于|高于|不低于)${RANGE_NUMBER}`);
+
+// 定性结果归一化：返回 'negative' | 'positive' | null
+const parseQualitative = (text) => {
+  const clean = String(text ?? '').normalize('NFKC').replace(/\s/g, '');
+  // 先判断阴性：“未检出”中包含“检出”
+  if (NEGATIVE_WORDS.test(clean) || NEGATIVE_SYMBOLS.test(clean)) return 'negative';
+  if (POSITIVE_WORDS.test(clean) || POSITIVE_SYMBOLS.test(clean)) return 'positive';
+  return null;
+};
+
+// 解析参考范围文本为结构化边界
+// 返回 { type: 'interval' | 'upper' | 'lower' | 'qualitative' | 'unparseable', low, high, lowInclusive, highInclusive, expected }
+const parseReferenceRange = (range) => {
+  const clean = String(range ?? '').normalize('NFKC').replace(/\s/g, '');
+  if (!clean) return { type: 'unparseable' };
+
+  const qualitative = parseQualitative(clean);
+  if (qualitative) return { type: 'qualitative', expected: qualitative };
+
+  const interval = clean.match(INTERVAL_PATTERN);
+  if (interval) {
+    const low = parseFloat(interval[1]);
+    const high = parseFloat(interval[2]);
+    if (low <= high) return { type: 'interval', low, high, lowInclusive: true, highInclusive: true };
+  }
+
+  const upper = clean.match(UPPER_PATTERN);
+  if (upper) {
+    return { type: 'upper', high: parseFloat(upper[2]), highInclusive: /=|≤|等于|不超过/.test(upper[1]) };
+  }
+
+  const lower = clean.match(LOWER_PATTERN);
+  if (lower) {
+    return { type: 'lower', low: parseFloat(lower[2]), lowInclusive: /=|≥|等于|不低于/.test(lower[1]) };
+  }
+
+  return { type: 'unparseable' };
+};
+
+// 根据参考范围判断单个检验项的标记
+const flagLabItem = (item) => {
+  const bounds = parseReferenceRange(item.range);
+  const qualitativeValue = parseQualitative(item.value);
+
+  if (bounds.type === 'qualitative') {
+    if (!qualitativeValue) return { flag: 'unparseable', abnormal: false, bounds };
+    return { flag: qualitativeValue, abnormal: qualitativeValue !== bounds.expected, bounds };
+  }
+
+  const value = parseLabNumber(item.value);
+  if (bounds.type !== 'unparseable' && value !== null) {
+    const belowLow = bounds.low !== undefined && (bounds.lowInclusive ? value < bounds.low : value <= bounds.low);
+    const aboveHigh = bounds.high !== undefined && (bounds.highInclusive ? value > bounds.high : value >= bounds.high);
+    if (belowLow) return { flag: 'low', abnormal: true, bounds };
+    if (aboveHigh) return { flag: 'high', abnormal: true, bounds };
+    return { flag: 'normal', abnormal: false, bounds };
+  }
+
+  // 参考范围无法解析时，退而参考报告上的 ↑↓ 标记
+  const rawValue = String(item.value ?? '');
+  if (rawValue.includes('↑')) return { flag: 'high', abnormal: true, bounds };
+  if (rawValue.includes('↓')) return { flag: 'low', abnormal: true, bounds };
+  if (qualitativeValue) return { flag: qualitativeValue, abnormal: qualitativeValue === 'positive', bounds };
+
+  return { flag: 'unparseable', abnormal: false, bounds };
+};
+
+// 为所有检验项附加 flag / abnormal / rangeBounds，并在顶层汇总各类标记数量
+const applyRangeFlags = (data) => {
+  if (!data || !Array.isArray(data.items)) return data;
+
+  const flagSummary = { high: 0, low: 0, normal: 0, positive: 0, negative: 0, unparseable: 0, abnormal: 0 };
+
+  data.items = data.items.map((item) => {
+    const { flag, abnormal, bounds } = flagLabItem(item);
+    flagSummary[flag]++;
+    if (abnormal) flagSummary.abnormal++;
+    return { ...item, flag, abnormal, rangeBounds: bounds };
+  });
+  data.flagSummary = flagSummary;
+
+  return data;
+};
+
+// ========== 识别置信度 ==========
+// 模型为每个项目给出 confidence（0-1）和可选的来源位置 source { page, line, bbox }，
+// 低于阈值的项目标记 lowConfidence，提示用户对照原图核对
+
+// 清洗来源位置：只保留合法的页码、行号和 0-1000 归一化坐标框
+const sanitizeItemSource = (source) => {
+  if (!source || typeof source !== 'object' || Array.isArray(source)) return undefined;
+
+  const cleaned = {};
+  const page = Number(source.page);
+  const line = Number(source.line);
+  if (Number.isInteger(page) && page > 0) cleaned.page = page;
+  if (Number.isInteger(line) && line > 0) cleaned.line = line;
+  if (Array.isArray(source.bbox) && source.bbox.length === 4) {
+    const bbox = source.bbox.map(Number);
+    const [ymin, xmin, ymax, xmax] = bbox;
+    if (bbox.every(v => Number.isFinite(v) && v >= 0 && v <= 1000) && ymin < ymax && xmin < xmax) {
+      cleaned.bbox = bbox.map(v => Math.round(v));
     }
-    return res.status(500).json({
-      error: "IMAGE_ANALYZE_FAILED",
-      message,
-    });
-  } finally {
-    // 无论成功失败都要释放槽位
-    releaseSlot();
   }
-});
+  return Object.keys(cleaned).length > 0 ? cleaned : undefined;
+};
 
-// ===========================================
-// OCR iFlow API 调用函数（与智能小结共用 IFLOW_AI_API_KEY）
-// ===========================================
-const callOcrIflowAI = async (model, base64Data, mimeType, systemPrompt) => {
-  const modelId = model || 'qwen3-vl-plus';
-  
-  console.log(`[OCR] Calling iFlow AI with model: ${modelId}`);
+const applyConfidenceFlags = (data, threshold) => {
+  if (!data || !Array.isArray(data.items)) return data;
 
-  // iFlow 使用 OpenAI 兼容格式，图像通过 base64 URL 传递
-  const imageUrl = `data:${mimeType || 'image/jpeg'};base64,${base64Data}`;
-  
-  const response = await fetch(`${IFLOW_AI_BASE_URL}/chat/completions`, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${IFLOW_AI_API_KEY}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      model: modelId,
-      messages: [
-        { 
-          role: "system", 
-          content: systemPrompt 
-        },
-        { 
-          role: "user", 
-          content: [
-            { type: "image_url", image_url: { url: imageUrl } },
-            { type: "text", text: "Extract medical data from this image." }
-          ]
-        }
-      ],
-      max_tokens: 4000,
-      temperature: 0.1,
-      response_format: { type: "json_object" }
-    })
+  let lowConfidenceCount = 0;
+  data.items = data.items.map((item) => {
+    // 派生项目（如计算 eGFR）不是识别结果，没有置信度
+    if (item.derived) return item;
+
+    const { confidence, source, lowConfidence, ...rest } = item;
+    const result = { ...rest };
+    if (typeof confidence === 'number' && confidence >= 0 && confidence <= 1) {
+      result.confidence = Math.round(confidence * 100) / 100;
+      result.lowConfidence = result.confidence < threshold;
+      if (result.lowConfidence) lowConfidenceCount++;
+    }
+    const cleanedSource = sanitizeItemSource(source);
+    if (cleanedSource) result.source = cleanedSource;
+    return result;
   });
+  data.lowConfidenceCount = lowConfidenceCount;
+  data.confidenceThreshold = threshold;
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    console.error(`[OCR] iFlow AI error: ${response.status}`, errorText);
-    throw new Error(`iFlow OCR API error: ${response.status}`);
+  return data;
+};
+
+// ========== eGFR 计算与 CKD 分期 ==========
+// 很多报告只打印血肌酐，根据患者年龄、性别计算 eGFR 并给出 KDIGO G/A 分期
+// 各公式输入: scr 血肌酐(mg/dL)、age 年龄、female 是否女性
+const EGFR_FORMULAS = {
+  'ckd-epi-2021': {
+    name: 'CKD-EPI 2021（无种族系数）',
+    calc: ({ scr, age, female }) => {
+      const kappa = female ? 0.7 : 0.9;
+      const alpha = female ? -0.241 : -0.302;
+      return 142 * Math.pow(Math.min(scr / kappa, 1), alpha) * Math.pow(Math.max(scr / kappa, 1), -1.2)
+        * Math.pow(0.9938, age) * (female ? 1.012 : 1);
+    }
+  },
+  'ckd-epi-2009': {
+    name: 'CKD-EPI 2009',
+    calc: ({ scr, age, female }) => {
+      const kappa = female ? 0.7 : 0.9;
+      const alpha = female ? -0.329 : -0.411;
+      return 141 * Math.pow(Math.min(scr / kappa, 1), alpha) * Math.pow(Math.max(scr / kappa, 1), -1.209)
+        * Math.pow(0.993, age) * (female ? 1.018 : 1);
+    }
+  },
+  'mdrd': {
+    name: 'MDRD（IDMS 校准）',
+    calc: ({ scr, age, female }) => 175 * Math.pow(scr, -1.154) * Math.pow(age, -0.203) * (female ? 0.742 : 1)
+  },
+  'mdrd-china': {
+    name: 'MDRD 中国改良版',
+    calc: ({ scr, age, female }) => 175 * Math.pow(scr, -1.234) * Math.pow(age, -0.179) * (female ? 0.79 : 1)
+  }
+};
+const DEFAULT_EGFR_FORMULA = 'ckd-epi-2021';
+const EGFR_UNIT = 'mL/min/1.73m²';
+
+// 从请求中读取患者信息（小程序传 patient 对象，网页端表单直接传 age/sex 字段）
+const getPatientProfile = (req) => {
+  // FormData 上传时 patient 为 JSON 字符串
+  let patient = req.body?.patient;
+  if (typeof patient === 'string') {
+    try { patient = JSON.parse(patient); } catch { patient = null; }
   }
+  const source = patient || req.body || {};
+  const age = parseFloat(source.age);
+  const sexText = String(source.sex || source.gender || '').trim().toLowerCase();
+
+  let sex = null;
+  if (['male', 'm', '男', '1'].includes(sexText)) sex = 'male';
+  else if (['female', 'f', '女', '2'].includes(sexText)) sex = 'female';
 
-  const data = await response.json();
-  const content = data.choices?.[0]?.message?.content || "";
-  
   return {
-    content: content,
-    usage: data.usage || {},
-    provider: 'iflow'
+    age: Number.isFinite(age) && age > 0 && age < 130 ? age : null,
+    sex
   };
 };
 
-// ===========================================
-// API 端点：图片识别 - 用于小程序（支持 base64 JSON）
-// ===========================================
-app.post("/api/analyze/image-base64", async (req, res) => {
-  // 获取并发槽位（限制同时处理的请求数）
-  await acquireSlot();
+// KDIGO GFR 分期
+const getCkdGStage = (egfr) => {
+  if (egfr >= 90) return 'G1';
+  if (egfr >= 60) return 'G2';
+  if (egfr >= 45) return 'G3a';
+  if (egfr >= 30) return 'G3b';
+  if (egfr >= 15) return 'G4';
+  return 'G5';
+};
 
-  try {
-    const { base64, mimeType, userId, nickname } = req.body || {};
+// KDIGO 白蛋白尿分期（ACR，mg/g）
+const getCkdAStage = (acr) => {
+  if (acr < 30) return 'A1';
+  if (acr <= 300) return 'A2';
+  return 'A3';
+};
 
-    // ----- 配额检查 START -----
-    // 优先使用 userId，如果没有则尝试用 IP (不推荐，小程序应传 userId/openid)
-    const userIdentifier = userId || req.headers["x-forwarded-for"]?.split(",")[0]?.trim() || "anonymous_user";
+// 根据报告中的肌酐（及 ACR）追加计算得到的 eGFR 与 CKD 分期项目
+// 计算项带 derived: true 标记；无法计算时在 renalCalculation.skippedReason 中说明原因
+const applyDerivedRenalItems = (data, profile, formulaId) => {
+  if (!data || !Array.isArray(data.items)) return data;
+
+  const formula = EGFR_FORMULAS[formulaId] ? formulaId : DEFAULT_EGFR_FORMULA;
+  const calculation = { formula, formulaName: EGFR_FORMULAS[formula].name };
+
+  const scrItem = data.items.find((item) => item.id === 'scr' && !item.derived);
+  const scr = scrItem ? convertLabValue('scr', parseLabNumber(scrItem.value), scrItem.unit, 'mg/dL') : null;
+
+  let egfr = null;
+  if (!scrItem) {
+    calculation.skippedReason = 'NO_CREATININE';
+  } else if (scr === null || scr <= 0) {
+    calculation.skippedReason = 'CREATININE_UNIT_UNKNOWN';
+  } else if (profile.age === null || profile.sex === null) {
+    calculation.skippedReason = 'PATIENT_PROFILE_REQUIRED';
+  } else if (profile.age < 18) {
+    calculation.skippedReason = 'PEDIATRIC_NOT_SUPPORTED';
+  } else {
+    egfr = Math.round(EGFR_FORMULAS[formula].calc({ scr, age: profile.age, female: profile.sex === 'female' }));
+    calculation.egfr = egfr;
+    data.items.push({
+      id: 'egfr_calc',
+      name: 'eGFR（计算值）',
+      value: String(egfr),
+      unit: EGFR_UNIT,
+      // 以 CKD 3 期阈值作为参考下限：60–89 在老年人中常见，不标记为异常
+      range: '≥60',
+      categoryName: '肾功能',
+      derived: true,
+      formula
+    });
+  }
 
-    const quotaResult = await checkAndConsumeQuota(userIdentifier, nickname);
-    if (!quotaResult.allowed) {
-      return res.status(403).json({
-        error: "QUOTA_EXCEEDED",
-        message: "本周免费额度已用完，请联系管理员获取兑换码。",
-        quota: quotaResult
-      });
+  // 未能计算时，退而使用报告上打印的 eGFR 来分期
+  let egfrForStage = egfr;
+  if (egfrForStage === null) {
+    const reported = data.items.find((item) => item.id === 'egfr' && !item.derived);
+    egfrForStage = reported ? parseLabNumber(reported.value) : null;
+    if (egfrForStage !== null) calculation.stageBasis = 'reported';
+  }
+
+  if (egfrForStage !== null) {
+    calculation.gStage = getCkdGStage(egfrForStage);
+
+    const acrItem = data.items.find((item) => item.id === 'uacr');
+    const acr = acrItem ? convertLabValue('uacr', parseLabNumber(acrItem.value), acrItem.unit, 'mg/g') : null;
+    if (acr !== null) calculation.aStage = getCkdAStage(acr);
+
+    data.items.push({
+      id: 'ckd_stage',
+      name: 'CKD分期（计算值）',
+      value: [calculation.gStage, calculation.aStage].filter(Boolean).join(' '),
+      unit: '',
+      range: '',
+      categoryName: '肾功能',
+      derived: true
+    });
+  }
+
+  data.renalCalculation = calculation;
+  return data;
+};
+
+// ========== API Key 健康状态 ==========
+// 每个环境变量 Key 记录连续失败次数、最近一次 429、冷却截止时间和当日调用量（进程内状态）
+
+const KEY_RATE_LIMIT_COOLDOWN_MS = 60 * 1000;      // 首次 429 冷却 1 分钟，连续限流时翻倍
+const KEY_RATE_LIMIT_COOLDOWN_MAX_MS = 30 * 60 * 1000;
+const KEY_AUTH_COOLDOWN_MS = 60 * 60 * 1000;       // Key 无效或无权限
+const KEY_ERROR_COOLDOWN_MS = 30 * 1000;           // 连续服务端错误
+const KEY_ERROR_THRESHOLD = 3;
+
+const apiKeyHealth = new Map();
+
+const getUtcDateKey = () => new Date().toISOString().slice(0, 10);
+
+const getKeyHealth = (key) => {
+  let health = apiKeyHealth.get(key);
+  if (!health) {
+    health = {
+      consecutiveFailures: 0,
+      consecutiveRateLimits: 0,
+      last429At: null,
+      cooldownUntil: 0,
+      lastError: null,
+      lastUsedAt: null,
+      dailyDate: getUtcDateKey(),
+      dailyCalls: 0,
+      dailyFailures: 0
+    };
+    apiKeyHealth.set(key, health);
+  }
+  // 跨天重置当日计数
+  const today = getUtcDateKey();
+  if (health.dailyDate !== today) {
+    health.dailyDate = today;
+    health.dailyCalls = 0;
+    health.dailyFailures = 0;
+  }
+  return health;
+};
+
+const isKeyAvailable = (key, now = Date.now()) => getKeyHealth(key).cooldownUntil <= now;
+
+// 状态码只按 "API error: xxx"（适配器抛出）和 "code": xxx（Gemini 错误体）两种形式匹配，
+// 错误信息中回显的其他数字不会让 Key 进入冷却
+const hasErrorStatus = (message, status) =>
+  new RegExp(`API error: ${status}\\b`).test(message) || new RegExp(`"code":\\s*${status}\\b`).test(message);
+
+// 区分 Key 本身的问题（换 Key 重试）和请求本身的问题（如参数错误，换 Key 也没用）
+const classifyKeyError = (message) => {
+  if (
+    hasErrorStatus(message, '429') ||
+    message.includes("Resource has been exhausted") ||
+    message.includes("RESOURCE_EXHAUSTED")
+  ) {
+    return 'rate_limit';
+  }
+  if (
+    message.includes("API key not valid") ||
+    message.includes("API_KEY_INVALID") ||
+    message.includes("PERMISSION_DENIED") ||
+    message.includes("UNAUTHENTICATED") ||
+    hasErrorStatus(message, '40[13]')
+  ) {
+    return 'auth';
+  }
+  if (
+    message.includes("UNAVAILABLE") ||
+    message.includes("overloaded") ||
+    message.includes("fetch failed") ||
+    hasErrorStatus(message, '5\\d\\d')
+  ) {
+    return 'server';
+  }
+  return null;
+};
+
+const recordApiKeyCall = (key) => {
+  const health = getKeyHealth(key);
+  health.dailyCalls++;
+  health.lastUsedAt = Date.now();
+};
+
+const recordApiKeySuccess = (key) => {
+  const health = getKeyHealth(key);
+  health.consecutiveFailures = 0;
+  health.consecutiveRateLimits = 0;
+};
+
+// 记录失败并按错误类型设置冷却，返回错误类型（null 表示不是 Key 的问题）
+const recordApiKeyFailure = (key, message) => {
+  const kind = classifyKeyError(message);
+  if (!kind) return null;
+
+  const health = getKeyHealth(key);
+  const now = Date.now();
+  health.consecutiveFailures++;
+  health.dailyFailures++;
+  health.lastError = message.slice(0, 200);
+
+  let cooldownMs = 0;
+  if (kind === 'rate_limit') {
+    health.consecutiveRateLimits++;
+    health.last429At = now;
+    cooldownMs = Math.min(
+      KEY_RATE_LIMIT_COOLDOWN_MS * 2 ** (health.consecutiveRateLimits - 1),
+      KEY_RATE_LIMIT_COOLDOWN_MAX_MS
+    );
+  } else if (kind === 'auth') {
+    cooldownMs = KEY_AUTH_COOLDOWN_MS;
+  } else if (health.consecutiveFailures >= KEY_ERROR_THRESHOLD) {
+    cooldownMs = KEY_ERROR_COOLDOWN_MS;
+  }
+
+  if (cooldownMs > 0) {
+    health.cooldownUntil = now + cooldownMs;
+    console.warn(`[Keys] ${maskApiKey(key)} cooling down for ${Math.round(cooldownMs / 1000)}s (${kind})`);
+  }
+  return kind;
+};
+
+const maskApiKey = (key) =>
+  key.length <= 10 ? `${key.slice(0, 2)}***` : `${key.slice(0, 6)}...${key.slice(-4)}`;
+
+// 健康检查/管理后台展示用（Key 已脱敏）
+const getApiKeyHealth = () => {
+  const now = Date.now();
+  const keys = ENV_API_KEYS.map((key, index) => {
+    const health = getKeyHealth(key);
+    const coolingDown = health.cooldownUntil > now;
+    return {
+      index,
+      key: maskApiKey(key),
+      status: coolingDown ? 'cooldown' : health.consecutiveFailures > 0 ? 'degraded' : 'healthy',
+      consecutiveFailures: health.consecutiveFailures,
+      last429At: health.last429At,
+      cooldownUntil: coolingDown ? health.cooldownUntil : null,
+      cooldownRemainingSec: coolingDown ? Math.ceil((health.cooldownUntil - now) / 1000) : 0,
+      dailyCalls: health.dailyCalls,
+      dailyFailures: health.dailyFailures,
+      lastError: health.lastError,
+      lastUsedAt: health.lastUsedAt
+    };
+  });
+  return {
+    total: keys.length,
+    available: keys.filter(k => k.status !== 'cooldown').length,
+    keys
+  };
+};
+
+// 获取 API Key（优先使用环境变量，其次使用请求头）
+// exclude: 本次请求已经试过的 Key
+const getApiKey = (req, exclude = new Set()) => {
+  // 如果有环境变量配置的 Key，轮换时跳过冷却中的 Key
+  if (ENV_API_KEYS.length > 0) {
+    const now = Date.now();
+    let fallbackIndex = -1;
+    for (let i = 0; i < ENV_API_KEYS.length; i++) {
+      const index = (currentKeyIndex + i) % ENV_API_KEYS.length;
+      const key = ENV_API_KEYS[index];
+      if (exclude.has(key)) continue;
+      if (isKeyAvailable(key, now)) {
+        currentKeyIndex = index + 1;
+        return key;
+      }
+      // 全部在冷却时退而使用最早结束冷却的 Key，而不是直接拒绝请求
+      if (fallbackIndex < 0 || getKeyHealth(key).cooldownUntil < getKeyHealth(ENV_API_KEYS[fallbackIndex]).cooldownUntil) {
+        fallbackIndex = index;
+      }
     }
-    // ----- 配额检查 END -----
+    if (fallbackIndex < 0) return null;
+    currentKeyIndex = fallbackIndex + 1;
+    return ENV_API_KEYS[fallbackIndex];
+  }
+  // 否则尝试从请求头获取
+  const headerKey = req.header("x-gemini-api-key");
+  if (headerKey) {
+    return headerKey;
+  }
+  return null;
+};
+
+const createClient = async (apiKey) => {
+  if (!apiKey) {
+    throw new Error("NO_API_KEY");
+  }
+
+  // 更新最后请求时间
+  lastRequestTime = Date.now();
+
+  // 检查缓存
+  if (clientCache.has(apiKey)) {
+    return clientCache.get(apiKey);
+  }
+
+  // 延迟加载 SDK
+  const GenAI = await loadGenAI();
+  const client = new GenAI({ apiKey });
+
+  // 缓存客户端（只缓存环境变量的 key，避免缓存用户传入的 key）
+  if (ENV_API_KEYS.includes(apiKey)) {
+    clientCache.set(apiKey, client);
+  }
+
+  return client;
+};
+
+// 使用 Gemini 客户端执行一次调用：环境变量 Key 限流/失效/服务端出错时，
+// 换下一个健康的 Key 重试同一请求；请求头传入的 Key 只调用一次
+const withGeminiClient = async (req, context, call) => {
+  if (ENV_API_KEYS.length === 0) {
+    const client = await createClient(getApiKey(req));
+    return call(client);
+  }
 
-    if (!base64) {
-      return res.status(400).json({ error: "base64 is required" });
+  const tried = new Set();
+  while (true) {
+    const key = getApiKey(req, tried);
+    tried.add(key);
+    const client = await createClient(key);
+    recordApiKeyCall(key);
+    try {
+      const result = await call(client);
+      recordApiKeySuccess(key);
+      return result;
+    } catch (err) {
+      const message = err instanceof Error ? err.message : String(err);
+      const kind = recordApiKeyFailure(key, message);
+      const hasNext = ENV_API_KEYS.some(k => !tried.has(k) && isKeyAvailable(k));
+      if (!kind || !hasNext) throw err;
+      console.warn(`[Keys] ${context} failed on ${maskApiKey(key)} (${kind}), retrying with next key`);
     }
+  }
+};
 
-    // 移除可能的 data URL 前缀
-    let cleanBase64 = base64;
-    if (base64.includes(",")) {
-      cleanBase64 = base64.split(",")[1];
+// CORS 中间件 - 支持小程序跨域请求
+app.use((req, res, next) => {
+  res.header("Access-Control-Allow-Origin", "*");
+  res.header("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, OPTIONS");
+  res.header(
+    "Access-Control-Allow-Headers",
+    "Content-Type, Authorization, x-gemini-api-key, x-mock-scenario"
+  );
+
+  // 处理 OPTIONS 预检请求
+  if (req.method === "OPTIONS") {
+    return res.sendStatus(200);
+  }
+  next();
+});
+
+// base64 编码后体积约为原图的 4/3
+app.use(express.json({ limit: JSON_BODY_LIMIT }));
+
+// ===========================================
+// API 端点：图片识别 - 用于网页端（支持 multipart/form-data）
+// ===========================================
+app.post("/api/analyze/image", upload.single("file"), async (req, res) => {
+  // 获取并发槽位（网页端匿名请求优先级最低；队列满或等待超时返回 503）
+  try {
+    await acquireSlot({ priority: 'web' });
+  } catch (err) {
+    return sendQueueUnavailable(res, err) || res.status(500).json({ error: "IMAGE_ANALYZE_FAILED", message: err.message });
+  }
+
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: "file is required" });
     }
 
-    // 获取OCR配置，确定API源和用户等级对应的模型
-    const config = await getQuotaConfig();
-    const ocrApiProvider = config.ocrApiProvider || 'gemini';
-    
-    // 确定用户等级
-    let userLevel = 'normal';
-    if (quotaResult.isUnlimited) {
-      userLevel = 'king';
-    } else if (quotaResult.isPro) {
-      userLevel = 'pro';
+    const mode = getOcrModeName(req.body);
+    if (!mode) {
+      return res.status(400).json({ error: "INVALID_MODE", message: `不支持的识别模式，可选: ${Object.keys(OCR_MODES).join(', ')}` });
     }
-    
-    // 根据API源和用户等级选择模型
-    let modelToUse;
-    if (ocrApiProvider === 'iflow') {
-      // iFlow 模型
-      switch (userLevel) {
-        case 'king':
-          modelToUse = config.iflowKingOcrModel || 'glm-4.6';
-          break;
-        case 'pro':
-          modelToUse = config.iflowProOcrModel || 'qwen3-vl-plus';
-          break;
-        default:
-          modelToUse = config.iflowNormalOcrModel || 'qwen3-vl-plus';
-      }
-    } else {
-      // Gemini 模型（默认）
-      switch (userLevel) {
-        case 'king':
-          modelToUse = config.geminiKingOcrModel || 'gemini-3-flash-preview';
-          break;
-        case 'pro':
-          modelToUse = config.geminiProOcrModel || 'gemini-2.5-flash';
-          break;
-        default:
-          modelToUse = config.geminiNormalOcrModel || 'gemini-2.5-flash-lite';
-      }
+    if (!isValidReportTypeHint(req.body)) {
+      return res.status(400).json({ error: "INVALID_REPORT_TYPE", message: `不支持的报告类型，可选: ${Object.keys(DEFAULT_REPORT_TYPES).join(', ')}` });
     }
-    
-    console.log(`[OCR] User ${nickname || userId || 'anonymous'} (${userLevel}) using ${ocrApiProvider}/${modelToUse}`);
-
-    let data;
-    
-    if (ocrApiProvider === 'iflow') {
-      // 使用 iFlow API（与智能小结共用）
-      if (!IFLOW_AI_API_KEY) {
-        throw new Error("iFlow API not configured. Set IFLOW_AI_API_KEY environment variable.");
-      }
-      
-      const result = await callOcrIflowAI(modelToUse, cleanBase64, mimeType, IMAGE_SYSTEM_PROMPT);
-      data = safeJsonParse(result.content, "image-base64-iflow");
-    } else {
-      // 使用 Gemini API（默认）
-      const apiKey = getApiKey(req);
-      const client = await createClient(apiKey);
-
-      const response = await client.models.generateContent({
-        model: modelToUse,
-        contents: {
-          parts: [
-            {
-              inlineData: {
-                mimeType: mimeType || "image/jpeg",
-                data: cleanBase64,
-              },
-            },
-            { text: "Extract medical data." },
-          ],
-        },
-        config: {
-          systemInstruction: IMAGE_SYSTEM_PROMPT,
-          responseMimeType: "application/json",
-        },
-      });
+    const ocrMode = OCR_MODES[mode];
 
-      data = safeJsonParse(response.text, "image-base64");
+    const base64Data = req.file.buffer.toString("base64");
+    const pages = [{ mimeType: req.file.mimetype, data: base64Data }];
+    const config = await getQuotaConfig();
+    const systemPrompt = await ocrMode.buildSystemPrompt(req.body);
+
+    // 网页端不计额度，只使用 Gemini（页面选择的模型），不按配置转移到其他服务商
+    const chain = getAnonymousOcrProviderChain();
+    const getModel = (provider, providerInfo) => provider === 'gemini' ? getModelName(req) : getOcrModel(config, provider, 'normal', providerInfo);
+
+    // 同一文件重复上传时直接返回缓存结果
+    const cached = await findCachedOcrResult(config, pages, chain, getModel, systemPrompt);
+    if (cached) {
+      const data = await ocrMode.postProcess(req, cached.data, config);
+      data.cached = true;
+      incrementApiStats('image');
+      await logUserUsage(req, "image-web", { ...getOcrLogFields(data, mode), ...cached.meta, cached: true });
+      return res.json(data);
     }
 
+    const ocrInput = await buildOcrInput(pages, config, ocrMode);
+    const { data, provider, model, failedAttempts } = await runOcrWithFailover({
+      req,
+      chain,
+      getModel,
+      images: ocrInput.images,
+      text: ocrInput.text,
+      context: "image-multipart",
+      ocrMode,
+      systemPrompt
+    });
+
     // 检查是否解析失败
     if (data.error === "JSON_PARSE_FAILED") {
-      console.error("[image-base64] JSON parse failed, raw preview:", data.rawTextPreview);
+      console.error("[image] JSON parse failed, raw preview:", data.rawTextPreview);
       return res.status(500).json({
         error: "JSON_PARSE_FAILED",
-        message: "Failed to parse AI response",
+        message: "Failed to parse Gemini response",
         detail: data.parseError
       });
     }
 
+    // 检查结构校验（含一次自修复）是否失败
+    if (data.error === "OCR_SCHEMA_INVALID") {
+      return res.status(500).json({
+        error: "OCR_SCHEMA_INVALID",
+        message: "AI response does not match the expected report structure",
+        errors: data.errors
+      });
+    }
+
+    if (ocrInput.pageCount > 1) {
+      ocrMode.dedupe(data);
+      data.pageCount = ocrInput.pageCount;
+    }
+
+    const cacheMeta = { sourceType: ocrInput.sourceType, pageCount: ocrInput.pageCount, apiProvider: provider, model };
+    const cacheKey = getOcrCacheKey(config, pages, provider, model, systemPrompt);
+    await saveCachedOcrResult(cacheKey, data, cacheMeta, config.ocrCacheTtlHours);
+    await ocrMode.postProcess(req, data, config);
+
     // 统计成功调用（保存到 Redis）
-    incrementApiStats('image-base64');
+    incrementApiStats('image');
 
-    // 记录用户使用（小程序端需要传递 nickname 字段）
-    await logUserUsage(req, "image-base64", {
-      itemsCount: data.items?.length || 0,
-      title: data.title || null,
-      apiProvider: ocrApiProvider,
-      model: modelToUse
+    // 记录用户使用（网页端没有用户ID，只记录 IP）
+    await logUserUsage(req, "image-web", {
+      ...getOcrLogFields(data, mode),
+      sourceType: ocrInput.sourceType,
+      pageCount: ocrInput.pageCount,
+      apiProvider: provider,
+      model,
+      failover: failedAttempts.length > 0,
+      failedAttempts,
+      preprocess: ocrInput.preprocess
     });
 
     return res.json(data);
   } catch (err) {
-    console.error("Image base64 analyze error:", err);
+    console.error("Image analyze error:", err);
     const message = err instanceof Error ? err.message : String(err);
+    await logOcrFailure(req, "image-web", err);
     if (
       message.includes("429") ||
       message.includes("Resource has been exhausted")
@@ -1280,7 +2254,13 @@ app.post("/api/analyze/image-base64", async (req, res) => {
     if (message === "NO_API_KEY") {
       return res.status(400).json({
         error: "NO_API_KEY",
-        message: "No Gemini API key configured on server",
+        message: "No Gemini API key provided",
+      });
+    }
+    if (PDF_ERROR_MESSAGES[message]) {
+      return res.status(400).json({
+        error: message,
+        message: PDF_ERROR_MESSAGES[message],
       });
     }
     return res.status(500).json({
@@ -1293,78 +2273,1739 @@ app.post("/api/analyze/image-base64", async (req, res) => {
   }
 });
 
-// ===========================================
-// API 端点：Excel 表头分析
-// ===========================================
-app.post("/api/analyze/excel-header", async (req, res) => {
-  try {
-    const { headers } = req.body || {};
-    if (!Array.isArray(headers) || headers.length === 0) {
-      return res.status(400).json({ error: "headers array is required" });
-    }
+// ========== OCR 输出校验与自修复 ==========
 
-    const prompt = `
-    I have an Excel header row:
-    ${JSON.stringify(headers)}
+const OCR_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const OCR_ITEM_FIELDS = ['name', 'value', 'unit', 'range'];
 
-    Task:
-    1. Identify the column index for "Date" (looking for '日期', 'Date', 'Time' etc).
-    2. Map other medical columns to standard IDs.
+// 严格校验模型输出的检验单结构，返回错误列表（空数组表示通过）
+// 校验报告抬头字段（检验单与处方共用）
+const validateOcrHeader = (data) => {
+  const errors = [];
 
-    Return JSON:
-    {
-      "dateColumnIndex": Number,
-      "mappings": [
-        { "columnIndex": Number, "id": "String (e.g. scr, egfr, bun, ua)", "name": "String (Original Name)", "category": "String (e.g. 肾功能)" }
-      ]
+  if (typeof data.title !== 'string') errors.push('title must be a string');
+  if (typeof data.date !== 'string') {
+    errors.push('date must be a string in YYYY-MM-DD format');
+  } else if (data.date && !OCR_DATE_PATTERN.test(data.date)) {
+    errors.push(`date "${data.date}" is not in YYYY-MM-DD format`);
+  }
+  for (const field of ['hospital', 'doctor', 'notes']) {
+    if (data[field] !== undefined && typeof data[field] !== 'string') {
+      errors.push(`${field} must be a string`);
     }
-    `;
+  }
+  return errors;
+};
 
-    const apiKey = getApiKey(req);
-    const client = await createClient(apiKey);
+// 错误过多时截断，避免修复提示过长
+const truncateOcrErrors = (errors) =>
+  errors.length > 20 ? [...errors.slice(0, 20), `...and ${errors.length - 20} more errors`] : errors;
 
-    const response = await client.models.generateContent({
-      model: getModelName(req),
-      contents: { parts: [{ text: prompt }] },
-      config: { responseMimeType: "application/json" },
-    });
+// 严格校验模型输出的检验单结构，返回错误列表（空数组表示通过）
+const validateOcrRecord = (data) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return ['root must be a JSON object'];
+  }
+
+  const errors = validateOcrHeader(data);
+  if (data.reportType !== undefined && typeof data.reportType !== 'string') {
+    errors.push('reportType must be a string');
+  }
+
+  if (!Array.isArray(data.items)) {
+    errors.push('items must be an array');
+    return errors;
+  }
+
+  data.items.forEach((item, index) => {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      errors.push(`items[${index}] must be an object`);
+      return;
+    }
+    for (const field of OCR_ITEM_FIELDS) {
+      if (typeof item[field] !== 'string') {
+        errors.push(`items[${index}].${field} must be a string`);
+      }
+    }
+    if (typeof item.name === 'string' && !item.name.trim()) {
+      errors.push(`items[${index}].name must not be empty`);
+    }
+    // 置信度和来源位置可省略；source 的细节格式在后处理中清洗，不要求模型修复
+    if (item.confidence !== undefined && item.confidence !== null &&
+        (typeof item.confidence !== 'number' || item.confidence < 0 || item.confidence > 1)) {
+      errors.push(`items[${index}].confidence must be a number between 0 and 1`);
+    }
+    if (item.source !== undefined && item.source !== null &&
+        (typeof item.source !== 'object' || Array.isArray(item.source))) {
+      errors.push(`items[${index}].source must be an object`);
+    }
+  });
+
+  return truncateOcrErrors(errors);
+};
+
+// 校验处方结构
+const validatePrescriptionRecord = (data) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return ['root must be a JSON object'];
+  }
+
+  const errors = validateOcrHeader(data);
+
+  if (data.prescription !== undefined && typeof data.prescription !== 'string') {
+    errors.push('prescription must be a string');
+  }
+  if (!Array.isArray(data.medications)) {
+    errors.push('medications must be an array');
+    return errors;
+  }
+
+  data.medications.forEach((med, index) => {
+    if (!med || typeof med !== 'object' || Array.isArray(med)) {
+      errors.push(`medications[${index}] must be an object`);
+      return;
+    }
+    for (const field of ['name', 'dosage', 'usage']) {
+      if (typeof med[field] !== 'string') {
+        errors.push(`medications[${index}].${field} must be a string`);
+      }
+    }
+    if (typeof med.name === 'string' && !med.name.trim()) {
+      errors.push(`medications[${index}].name must not be empty`);
+    }
+    // 数值字段允许数字字符串（如 "2"），后处理中统一转换
+    for (const field of ['timesPerDay', 'amountPerDose']) {
+      const value = typeof med[field] === 'string' && med[field].trim() ? Number(med[field]) : med[field];
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+        errors.push(`medications[${index}].${field} must be a non-negative number`);
+      }
+    }
+  });
+
+  return truncateOcrErrors(errors);
+};
+
+const LAB_REPAIR_RULES = `All item fields (name, value, unit, range) must be strings; use "" when a field is missing.
+confidence must be a number between 0 and 1, and source must be an object (or omitted).`;
+
+const PRESCRIPTION_REPAIR_RULES = `Medication fields name, dosage and usage must be strings; use "" when a field is missing.
+timesPerDay and amountPerDose must be numbers; use 0 when unknown.`;
+
+const buildOcrRepairPrompt = (errors, fieldRules = LAB_REPAIR_RULES) => `
+Your previous output is not valid JSON in the required structure. Problems found:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Return the corrected JSON object ONLY, following the structure in the system instructions EXACTLY.
+${fieldRules}
+`;
+
+// 调用 OCR 模型并校验输出；无法解析为 JSON 或校验失败时把错误发回同一服务商修复一次
+// 返回解析后的数据，或带 error 字段的失败对象（首次无法解析且修复失败为 JSON_PARSE_FAILED，否则为 OCR_SCHEMA_INVALID）
+const runOcrWithValidation = async ({
+  req, provider, model, images, text, systemPrompt, context,
+  validate = validateOcrRecord, repairRules = LAB_REPAIR_RULES
+}) => {
+  // Gemini 沿用模型默认的输出长度和温度，OpenAI 兼容接口限制输出长度并降低温度
+  const sampling = provider.type === 'gemini' ? {} : { maxTokens: 4000, temperature: 0.1 };
+  const callModel = (turns) => callAiProvider(provider, turns, {
+    req,
+    model,
+    systemPrompt,
+    ...sampling,
+    json: true,
+    purpose: 'ocr',
+    context
+  });
+
+  const turns = [{ role: 'user', images, text }];
+  const first = await callModel(turns);
+  const data = safeJsonParse(first.content, context);
+  // 残缺（被截断）或夹带多余文字的 JSON 最常见，同样走一次修复
+  const parseFailed = data.error === "JSON_PARSE_FAILED";
+  const errors = parseFailed
+    ? [`response is not valid JSON (${data.parseError}); it may be truncated or contain text outside the JSON object`]
+    : validate(data);
+  if (errors.length === 0) return data;
+
+  console.warn(`[OCR] ${context} ${parseFailed ? 'JSON parse failed' : `schema invalid (${errors.length} errors)`}, requesting repair from ${provider.id}/${model}`);
+
+  turns.push(
+    { role: 'model', text: first.content },
+    { role: 'user', text: buildOcrRepairPrompt(errors, repairRules) }
+  );
+  const repaired = await callModel(turns);
+  const repairedData = safeJsonParse(repaired.content, `${context}-repair`);
+  const repairErrors = repairedData.error === "JSON_PARSE_FAILED"
+    ? [`repair response is not valid JSON: ${repairedData.parseError}`]
+    : validate(repairedData);
+
+  if (repairErrors.length === 0) {
+    console.log(`[OCR] ${context} schema repaired`);
+    return repairedData;
+  }
+
+  console.error(`[OCR] ${context} schema still invalid after repair:`, repairErrors);
+  if (parseFailed) return { ...data, repairErrors };
+  return {
+    error: "OCR_SCHEMA_INVALID",
+    errors: repairErrors,
+    initialErrors: errors
+  };
+};
+
+// ========== OCR 服务商故障转移 ==========
+
+// 按用户等级选择各服务商的 OCR 模型；自定义端点和 Mock 使用注册表中的各等级模型
+const getOcrModel = (config, provider, userLevel, providerInfo) => {
+  if (providerInfo?.tierModels) {
+    return providerInfo.tierModels[userLevel] || providerInfo.defaultModel;
+  }
+  if (provider === 'iflow') {
+    switch (userLevel) {
+      case 'king':
+        return config.iflowKingOcrModel || 'glm-4.6';
+      case 'pro':
+        return config.iflowProOcrModel || 'qwen3-vl-plus';
+      default:
+        return config.iflowNormalOcrModel || 'qwen3-vl-plus';
+    }
+  }
+  if (provider !== 'gemini') return providerInfo?.defaultModel;
+  switch (userLevel) {
+    case 'king':
+      return config.geminiKingOcrModel || 'gemini-3-flash-preview';
+    case 'pro':
+      return config.geminiProOcrModel || 'gemini-2.5-flash';
+    default:
+      return config.geminiNormalOcrModel || 'gemini-2.5-flash-lite';
+  }
+};
+
+// 获取故障转移顺序：primary 排在首位，其余按配置顺序（服务商是否存在由 runOcrWithFailover 按注册表过滤）
+// MOCK_AI=1 时只使用 Mock
+const getOcrProviderChain = (config, primary = config.ocrApiProvider || 'gemini') => {
+  if (MOCK_AI_ENABLED) return ['mock'];
+  const chain = (Array.isArray(config.ocrProviderChain) ? config.ocrProviderChain : [])
+    .filter(provider => typeof provider === 'string');
+  if (chain.length <= 1) return [primary];
+  return [primary, ...chain.filter(provider => provider !== primary)];
+};
+
+// 不计额度的匿名调用只使用 Gemini（请求头传入的 Key 或服务器 Key 池），
+// 不转移到 iFlow、自定义端点等使用服务器 Key 按量计费的服务商；MOCK_AI=1 时只使用 Mock
+const getAnonymousOcrProviderChain = () => MOCK_AI_ENABLED ? ['mock'] : ['gemini'];
+
+// 可用于 OCR 的服务商：有图片时需要 vision 能力，文本型 PDF 和表头映射只需文本能力
+const isOcrCapable = (provider, hasImages) =>
+  provider.capabilities.text && (!hasImages || provider.capabilities.vision);
+
+// 服务端错误状态码：只匹配适配器抛出的 "API error: 5xx" 和 Gemini 错误体中的 "code": 5xx，
+// 避免把错误信息中回显的其他数字（如模型名、提示词内容）误判为 5xx
+const isServerErrorStatus = (message) =>
+  /API error: 5\d\d\b/.test(message) || /"code":\s*5\d\d\b/.test(message);
+
+// 限流、额度耗尽、服务端错误和网络错误时切换到下一个服务商
+const isOcrFailoverError = (message) =>
+  message.includes("429") ||
+  message.includes("Resource has been exhausted") ||
+  message.includes("RESOURCE_EXHAUSTED") ||
+  message.includes("UNAVAILABLE") ||
+  message.includes("overloaded") ||
+  message.includes("fetch failed") ||
+  isServerErrorStatus(message);
+
+// 按故障转移顺序调用 OCR，返回 { data, provider, model, failedAttempts }
+// 所有服务商都失败时抛出最后一个错误（附带 failedAttempts）
+// ocrMode 为识别模式（OCR_MODES 中的一项），决定校验规则；systemPrompt 由 ocrMode.buildSystemPrompt 生成
+// getModel(providerId, providerInfo) 返回该服务商使用的模型
+const runOcrWithFailover = async ({ req, chain, getModel, images, text, context, ocrMode = OCR_MODES.lab, systemPrompt }) => {
+  const registry = await getAiProviders();
+  // 已删除或停用的服务商跳过，都不可用时回落到 Gemini
+  const known = chain.filter(id => registry[id] && isOcrCapable(registry[id], images.length > 0));
+  const candidates = known.length > 0 ? known : ['gemini'];
+  const configured = candidates.filter(id => isProviderConfigured(req, registry[id], 'ocr'));
+  // 都未配置时仍调用主服务商，以返回原有的 NO_API_KEY 等错误
+  const providers = configured.length > 0 ? configured : candidates.slice(0, 1);
+  const failedAttempts = [];
+
+  for (const provider of providers) {
+    const model = getModel(provider, registry[provider]);
+    try {
+      const data = await runOcrWithValidation({
+        req,
+        provider: registry[provider],
+        model,
+        images,
+        text,
+        systemPrompt,
+        validate: ocrMode.validate,
+        repairRules: ocrMode.repairRules,
+        context: provider === 'gemini' ? context : `${context}-${provider}`
+      });
+      if (failedAttempts.length > 0) {
+        console.log(`[OCR] Failover succeeded with ${provider}/${model} after ${failedAttempts.length} failed attempts`);
+      }
+      return { data, provider, model, failedAttempts };
+    } catch (err) {
+      const message = err instanceof Error ? err.message : String(err);
+      failedAttempts.push({ provider, model, error: message.slice(0, 200) });
+
+      const isLast = provider === providers[providers.length - 1];
+      if (isLast || !isOcrFailoverError(message)) {
+        err.failedAttempts = failedAttempts;
+        throw err;
+      }
+      console.warn(`[OCR] ${provider}/${model} failed (${message.slice(0, 100)}), failing over`);
+    }
+  }
+};
+
+// 所有服务商都失败时也记录使用日志（带各服务商的失败原因），整体故障同样有迹可查
+const logOcrFailure = async (req, apiType, err) => {
+  if (!err?.failedAttempts) return;
+  const message = err instanceof Error ? err.message : String(err);
+  await logUserUsage(req, apiType, {
+    failed: true,
+    error: message.slice(0, 200),
+    failover: err.failedAttempts.length > 1,
+    failedAttempts: err.failedAttempts
+  }).catch(logErr => console.error("[Usage] Failed to log OCR failure:", logErr.message));
+};
+
+// ========== 多页报告合并 ==========
+
+// 多页报告的用户提示：要求模型把所有页合并为一份记录
+const buildMultiPageInstruction = (pageCount, ocrMode = OCR_MODES.lab) => `${ocrMode.instruction}
+The ${pageCount} images are consecutive pages of ONE ${ocrMode.documentName}, in order.
+Merge them into a SINGLE JSON object: take title, date, hospital and doctor from the report header (they usually repeat on every page, output them once),
+and list every ${ocrMode.entryName} exactly once in page order.`;
+
+// 去除跨页重复的检验项目（同名同值同单位视为重复，通常来自页眉或照片重叠）
+const dedupeOcrItems = (data) => {
+  if (!Array.isArray(data.items)) return data;
+
+  const seen = new Set();
+  const before = data.items.length;
+  data.items = data.items.filter(item => {
+    const key = [normalizeLabName(item.name), String(item.value).trim(), normalizeLabName(item.unit)].join('|');
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  if (data.items.length < before) {
+    console.log(`[OCR] Removed ${before - data.items.length} duplicated items across pages`);
+  }
+  return data;
+};
+
+// 解析请求中的图片：images 数组（多页）或单个 base64 字段
+// images 元素可以是 base64 字符串，也可以是 { base64, mimeType }
+const getRequestPages = (body) => {
+  const { base64, mimeType, images } = body || {};
+  const stripDataUrl = (value) => value.includes(",") ? value.split(",")[1] : value;
+
+  if (Array.isArray(images)) {
+    return images
+      .map(image => typeof image === 'string' ? { base64: image } : image)
+      .filter(image => image && typeof image.base64 === 'string' && image.base64)
+      .map(image => ({ data: stripDataUrl(image.base64), mimeType: image.mimeType || mimeType || "image/jpeg" }));
+  }
+  if (typeof base64 === 'string' && base64) {
+    return [{ data: stripDataUrl(base64), mimeType: mimeType || "image/jpeg" }];
+  }
+  return [];
+};
+
+// ========== PDF 报告处理 ==========
+
+// PDF 独立限制：文件大小、页数、渲染尺寸（渲染结果常驻内存，需控制总量）
+const PDF_MAX_BYTES = parseInt(process.env.PDF_MAX_BYTES) || 5 * 1024 * 1024;
+const PDF_MAX_PAGES = parseInt(process.env.PDF_MAX_PAGES) || 5;
+const PDF_RENDER_MAX_SIDE = 2000;  // 扫描件渲染后长边最大像素
+const PDF_RENDER_MAX_SCALE = 2;    // 最大渲染倍率（约 144 DPI）
+const PDF_TEXT_MIN_CHARS = 50;     // 每页平均有效字符数达到该值视为文本型 PDF
+const PDF_STANDARD_FONTS_DIR = fileURLToPath(new URL("./node_modules/pdfjs-dist/standard_fonts/", import.meta.url));
+
+// 通过 MIME 类型或文件头（%PDF-，base64 为 JVBERi0）判断是否为 PDF
+const isPdfPage = (page) => page.mimeType === 'application/pdf' || page.data.startsWith('JVBERi0');
+
+// 提取 PDF 内容：文本型 PDF 直接提取文本层，扫描件逐页渲染为 JPEG
+// 返回 { mode: 'text', pageCount, text } 或 { mode: 'scan', pageCount, images }
+const extractPdfContent = async (buffer) => {
+  if (buffer.length > PDF_MAX_BYTES) throw new Error("PDF_TOO_LARGE");
+
+  const pdfjs = await loadPdfjs();
+  let doc;
+  try {
+    doc = await pdfjs.getDocument({
+      data: new Uint8Array(buffer),
+      isEvalSupported: false,
+      disableFontFace: true,
+      standardFontDataUrl: PDF_STANDARD_FONTS_DIR
+    }).promise;
+  } catch (err) {
+    console.error("[PDF] Failed to open document:", err.message);
+    throw new Error("PDF_INVALID");
+  }
+
+  try {
+    const pageCount = doc.numPages;
+    if (pageCount > PDF_MAX_PAGES) throw new Error("PDF_TOO_MANY_PAGES");
+
+    // 1. 尝试文本层
+    const pageTexts = [];
+    for (let i = 1; i <= pageCount; i++) {
+      const page = await doc.getPage(i);
+      const content = await page.getTextContent();
+      pageTexts.push(content.items.map(item => item.str + (item.hasEOL ? '\n' : ' ')).join('').trim());
+      page.cleanup();
+    }
+
+    const textChars = pageTexts.join('').replace(/\s/g, '').length;
+    if (textChars / pageCount >= PDF_TEXT_MIN_CHARS) {
+      console.log(`[PDF] Text layer found: ${pageCount} pages, ${textChars} chars`);
+      return {
+        mode: 'text',
+        pageCount,
+        text: pageTexts.map((text, index) => `--- Page ${index + 1} ---\n${text}`).join('\n\n')
+      };
+    }
+
+    // 2. 扫描件：逐页渲染，交给视觉模型识别
+    const { createCanvas } = await loadCanvas();
+    const images = [];
+    for (let i = 1; i <= pageCount; i++) {
+      const page = await doc.getPage(i);
+      const baseViewport = page.getViewport({ scale: 1 });
+      const scale = Math.min(PDF_RENDER_MAX_SCALE, PDF_RENDER_MAX_SIDE / Math.max(baseViewport.width, baseViewport.height));
+      const viewport = page.getViewport({ scale });
+      const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+      const context = canvas.getContext('2d');
+      context.fillStyle = '#ffffff';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+
+      await page.render({ canvasContext: context, viewport }).promise;
+      images.push({ data: canvas.toBuffer('image/jpeg', 85).toString('base64'), mimeType: 'image/jpeg' });
+      page.cleanup();
+    }
+
+    console.log(`[PDF] Scanned document rasterized: ${pageCount} pages`);
+    return { mode: 'scan', pageCount, images };
+  } finally {
+    await doc.destroy();
+  }
+};
+
+// 文本型 PDF 的用户提示：检验数据以文本形式给出
+const buildPdfTextInstruction = (text, ocrMode = OCR_MODES.lab) => `${ocrMode.instruction}
+The ${ocrMode.documentName} below was extracted from the text layer of a PDF file (pages are separated by "--- Page N ---").
+If it spans several pages, merge them into a SINGLE JSON object and list every ${ocrMode.entryName} exactly once.
+
+${text}`;
+
+// ========== 图片预处理 ==========
+// 手机拍摄的检验单常带 EXIF 方向、分辨率过高，识别前统一旋正、缩放并重新压缩以节省模型 token
+
+const IMAGE_OUTPUT_FORMATS = {
+  jpeg: { mimeType: 'image/jpeg', encode: (img, quality) => img.jpeg({ quality, mozjpeg: true }) },
+  webp: { mimeType: 'image/webp', encode: (img, quality) => img.webp({ quality }) }
+};
+
+// 处理单张图片，返回 { page, before, after }；无需改动或处理失败时原样返回
+const preprocessOcrImage = async (page, config) => {
+  const input = Buffer.from(page.data, 'base64');
+  const sharp = await loadSharp();
+  const metadata = await sharp(input).metadata();
+
+  const maxDimension = config.imageMaxDimension;
+  const needsRotate = (metadata.orientation || 1) > 1;
+  const needsResize = Math.max(metadata.width || 0, metadata.height || 0) > maxDimension;
+  const format = IMAGE_OUTPUT_FORMATS[config.imageOutputFormat] || IMAGE_OUTPUT_FORMATS.jpeg;
+
+  // rotate() 无参数时按 EXIF 方向旋正，输出默认不保留 EXIF
+  let pipeline = sharp(input).rotate();
+  if (needsResize) {
+    pipeline = pipeline.resize({ width: maxDimension, height: maxDimension, fit: 'inside', withoutEnlargement: true });
+  }
+  if (config.imageEnhance) {
+    pipeline = pipeline.grayscale().normalize();
+  }
+  const output = await format.encode(pipeline, config.imageQuality).toBuffer();
+
+  // 已经足够小的图片重新压缩反而变大时保留原图
+  if (!needsRotate && !needsResize && !config.imageEnhance && output.length >= input.length) {
+    return { page, before: input.length, after: input.length };
+  }
+  return {
+    page: { data: output.toString('base64'), mimeType: format.mimeType },
+    before: input.length,
+    after: output.length
+  };
+};
+
+// 预处理全部图片页，返回 { images, preprocess }（preprocess 为前后字节数统计，关闭时为 null）
+const preprocessOcrImages = async (pages, config) => {
+  if (!config.imagePreprocessEnabled) {
+    return { images: pages, preprocess: null };
+  }
+
+  const startTime = Date.now();
+  const images = [];
+  let originalBytes = 0;
+  let processedBytes = 0;
+  // 逐张处理，避免多张大图同时解码占用内存
+  for (const page of pages) {
+    try {
+      const result = await preprocessOcrImage(page, config);
+      images.push(result.page);
+      originalBytes += result.before;
+      processedBytes += result.after;
+    } catch (err) {
+      // 无法解码的格式（如 HEIC）交给模型自行处理
+      console.warn(`[Preprocess] Skipped image (${page.mimeType}):`, err.message);
+      const size = Buffer.byteLength(page.data, 'base64');
+      images.push(page);
+      originalBytes += size;
+      processedBytes += size;
+    }
+  }
+
+  const preprocess = { originalBytes, processedBytes, durationMs: Date.now() - startTime };
+  console.log(`[Preprocess] ${pages.length} image(s): ${Math.round(originalBytes / 1024)}KB -> ${Math.round(processedBytes / 1024)}KB in ${preprocess.durationMs}ms`);
+  return { images, preprocess };
+};
+
+// 把请求中的图片/PDF 转换为 OCR 模型输入
+// 返回 { images, text, pageCount, sourceType: 'image' | 'pdf-text' | 'pdf-scan', preprocess }
+const buildOcrInput = async (pages, config, ocrMode = OCR_MODES.lab) => {
+  const pdfPages = pages.filter(isPdfPage);
+
+  if (pdfPages.length === 0) {
+    const { images, preprocess } = await preprocessOcrImages(pages, config);
+    return {
+      images,
+      text: pages.length > 1 ? buildMultiPageInstruction(pages.length, ocrMode) : ocrMode.instruction,
+      pageCount: pages.length,
+      sourceType: 'image',
+      preprocess
+    };
+  }
+
+  if (pages.length > 1) throw new Error("PDF_MIXED_INPUT");
+
+  const pdf = await extractPdfContent(Buffer.from(pages[0].data, 'base64'));
+  if (pdf.mode === 'text') {
+    return { images: [], text: buildPdfTextInstruction(pdf.text, ocrMode), pageCount: pdf.pageCount, sourceType: 'pdf-text', preprocess: null };
+  }
+  return {
+    images: pdf.images,
+    text: pdf.pageCount > 1 ? buildMultiPageInstruction(pdf.pageCount, ocrMode) : ocrMode.instruction,
+    pageCount: pdf.pageCount,
+    sourceType: 'pdf-scan',
+    preprocess: null
+  };
+};
+
+// PDF 相关错误 -> HTTP 400 响应
+const PDF_ERROR_MESSAGES = {
+  PDF_TOO_LARGE: `PDF 文件不能超过 ${Math.round(PDF_MAX_BYTES / 1024 / 1024)}MB`,
+  PDF_TOO_MANY_PAGES: `PDF 报告最多支持 ${PDF_MAX_PAGES} 页`,
+  PDF_INVALID: "无法解析该 PDF 文件",
+  PDF_MIXED_INPUT: "PDF 报告请单独上传，不能与图片混合"
+};
+
+// ========== OCR 结果缓存 ==========
+// 以图片内容 + 服务商/模型 + 系统提示词为键缓存模型识别结果（字典映射等后处理不缓存，命中后重新计算）
+// 结果按实际产出它的服务商和模型存储；查找时按故障转移顺序依次查找，命中时直接返回，不调用模型、不消耗额度
+
+const OCR_CACHE_FILE = path.join(DATA_DIR, "ocr_cache.json");
+const OCR_CACHE_REDIS_PREFIX = 'ocr:cache:';
+const OCR_CACHE_MAX_LOCAL_ENTRIES = 200; // 本地文件最多缓存条数
+
+// 计算缓存键，缓存关闭时返回 null（Mock 不缓存，以便同一张图片反复模拟各种场景）
+// 提示词参与计算，修改提示词或切换识别模式后旧缓存自然失效
+const getOcrCacheKey = (config, pages, provider, model, systemPrompt) => {
+  if (!(config.ocrCacheTtlHours > 0) || provider === 'mock') return null;
+
+  const hash = crypto.createHash('sha256');
+  for (const page of pages) {
+    hash.update(page.data);
+  }
+  hash.update(`|${provider}|${model}|`);
+  hash.update(systemPrompt);
+  return hash.digest('hex');
+};
+
+const readLocalOcrCache = async () => {
+  try {
+    return JSON.parse(await fs.promises.readFile(OCR_CACHE_FILE, "utf-8"));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error("[OCR Cache] Failed to read local cache:", err.message);
+  }
+  return {};
+};
+
+// 读取缓存，返回 { data, meta } 或 null
+const getCachedOcrResult = async (key) => {
+  if (!key) return null;
+
+  if (USE_REDIS) {
+    const cached = await redisCommand('GET', `${OCR_CACHE_REDIS_PREFIX}${key}`);
+    try {
+      return cached ? JSON.parse(cached) : null;
+    } catch (err) {
+      console.error("[OCR Cache] Invalid cache entry:", err.message);
+      return null;
+    }
+  }
+
+  const entry = (await readLocalOcrCache())[key];
+  if (!entry || entry.expiresAt < Date.now()) return null;
+  return { data: entry.data, meta: entry.meta };
+};
+
+// 按故障转移顺序查找各服务商/模型下的缓存，返回 { data, meta } 或 null
+const findCachedOcrResult = async (config, pages, chain, getModel, systemPrompt) => {
+  if (!(config.ocrCacheTtlHours > 0)) return null;
+  const registry = await getAiProviders();
+  for (const provider of chain) {
+    const key = getOcrCacheKey(config, pages, provider, getModel(provider, registry[provider]), systemPrompt);
+    const cached = await getCachedOcrResult(key);
+    if (cached) return cached;
+  }
+  return null;
+};
+
+// 写入缓存（data 为模型识别并校验通过的原始记录）
+const saveCachedOcrResult = async (key, data, meta, ttlHours) => {
+  if (!key) return;
+
+  // 小数小时换算后至少 1 秒，SETEX 不接受 0
+  const ttlSeconds = Math.max(1, Math.round(ttlHours * 3600));
+  if (USE_REDIS) {
+    await redisCommand('SETEX', `${OCR_CACHE_REDIS_PREFIX}${key}`, ttlSeconds, JSON.stringify({ data, meta }));
+    return;
+  }
+
+  try {
+    if (!fs.existsSync(DATA_DIR)) return;
+    await updateLocalJsonFile(OCR_CACHE_FILE, (current) => {
+      const now = Date.now();
+      const entries = Object.entries(current).filter(([entryKey, entry]) => entry.expiresAt > now && entryKey !== key);
+      entries.push([key, { data, meta, expiresAt: now + ttlSeconds * 1000 }]);
+      // 超出上限时丢弃最早写入的条目
+      return Object.fromEntries(entries.slice(-OCR_CACHE_MAX_LOCAL_ENTRIES));
+    });
+  } catch (err) {
+    console.error("[OCR Cache] Failed to save local cache:", err.message);
+  }
+};
+
+// ========== OCR 结果后处理 ==========
+
+// 按检验项目字典补充标准 id 和分类，换算到首选单位，计算 eGFR/CKD 分期，并按参考范围标记异常
+const postProcessOcrRecord = async (req, data, config) => {
+  // 模型给出的类型不在列表中时归为 other
+  data.reportType = DEFAULT_REPORT_TYPES[data.reportType] ? data.reportType : 'other';
+
+  const { merged: labDictionary } = await getLabDictionary();
+  normalizeLabItems(data, labDictionary);
+  applyUnitConversions(data, labDictionary);
+  applyDerivedRenalItems(data, getPatientProfile(req), req.body?.egfrFormula || config.egfrFormula);
+  applyRangeFlags(data);
+  applyConfidenceFlags(data, config.lowConfidenceThreshold);
+  return data;
+};
+
+// 整理处方识别结果：数值字段转为数字，多页重复的药品只保留一次
+// items 置空，返回结构与检验记录一致，前端可直接保存
+const postProcessPrescription = (data) => {
+  const toNumber = (value) => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) && number >= 0 ? number : 0;
+  };
+
+  const seen = new Set();
+  data.medications = (data.medications || [])
+    .map(med => ({
+      name: String(med.name || '').trim(),
+      dosage: String(med.dosage || '').trim(),
+      usage: String(med.usage || '').trim(),
+      timesPerDay: toNumber(med.timesPerDay),
+      amountPerDose: toNumber(med.amountPerDose)
+    }))
+    .filter(med => {
+      const key = `${normalizeLabName(med.name)}|${normalizeLabName(med.dosage)}`;
+      if (!med.name || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  data.prescription = typeof data.prescription === 'string' ? data.prescription : '';
+  data.items = [];
+  data.reportType = 'prescription';
+  return data;
+};
+
+// ========== 识别模式 ==========
+// lab: 检验单（默认）；prescription: 处方/用药清单
+// 两种模式共用额度、缓存和服务商路由，只有提示词、校验和后处理不同
+// buildSystemPrompt(body) 返回本次请求使用的系统提示词
+const OCR_MODES = {
+  lab: {
+    buildSystemPrompt: async (body) => {
+      const { merged } = await getReportTypePrompts();
+      return buildLabSystemPrompt(merged, body?.reportType);
+    },
+    validate: validateOcrRecord,
+    repairRules: LAB_REPAIR_RULES,
+    instruction: "Extract medical data.",
+    documentName: 'lab report',
+    entryName: 'test item',
+    dedupe: dedupeOcrItems,
+    postProcess: postProcessOcrRecord
+  },
+  prescription: {
+    buildSystemPrompt: async () => PRESCRIPTION_SYSTEM_PROMPT,
+    validate: validatePrescriptionRecord,
+    repairRules: PRESCRIPTION_REPAIR_RULES,
+    instruction: "Extract the prescription.",
+    documentName: 'prescription',
+    entryName: 'medication',
+    dedupe: (data) => data, // 后处理中按药名去重
+    postProcess: async (req, data) => postProcessPrescription(data)
+  }
+};
 
-    const mapData = safeJsonParse(response.text, "excel-header");
+// 请求中的 mode 字段，未传时为检验单；不支持的模式返回 null
+const getOcrModeName = (body) => {
+  const mode = body?.mode;
+  if (mode === undefined || mode === null || mode === '') return 'lab';
+  return OCR_MODES[mode] ? mode : null;
+};
+
+// 请求中可选的 reportType 提示（跳过模型判断），不支持的类型返回 false
+const isValidReportTypeHint = (body) => {
+  const reportType = body?.reportType;
+  return reportType === undefined || reportType === null || reportType === '' || !!DEFAULT_REPORT_TYPES[reportType];
+};
+
+// 使用记录中的识别结果摘要
+const getOcrLogFields = (data, mode = 'lab') => ({
+  mode,
+  reportType: data.reportType || null,
+  itemsCount: data.items?.length || 0,
+  medicationsCount: data.medications?.length || 0,
+  unrecognizedCount: data.unrecognizedItems?.length || 0,
+  abnormalCount: data.flagSummary?.abnormal || 0,
+  lowConfidenceCount: data.lowConfidenceCount || 0,
+  title: data.title || null
+});
+
+// ===========================================
+// API 端点：图片识别 - 用于小程序（支持 base64 JSON）
+// ===========================================
+// 小程序图片识别流程（同步接口与异步任务共用），返回 { status, body }
+const runImageBase64Ocr = async (req) => {
+  const reply = (status, body) => ({ status, body });
+
+  // 预扣的额度：返回有效结果时确认，否则退还
+  let reservation = null;
+
+  try {
+    const { userId, nickname } = req.body || {};
+    const isMultiPage = Array.isArray(req.body?.images);
+    const pages = getRequestPages(req.body);
+
+    if (pages.length === 0) {
+      return reply(400, { error: isMultiPage ? "images must not be empty" : "base64 is required" });
+    }
+
+    const mode = getOcrModeName(req.body);
+    if (!mode) {
+      return reply(400, { error: "INVALID_MODE", message: `不支持的识别模式，可选: ${Object.keys(OCR_MODES).join(', ')}` });
+    }
+    if (!isValidReportTypeHint(req.body)) {
+      return reply(400, { error: "INVALID_REPORT_TYPE", message: `不支持的报告类型，可选: ${Object.keys(DEFAULT_REPORT_TYPES).join(', ')}` });
+    }
+    const ocrMode = OCR_MODES[mode];
+
+    // 优先使用 userId，如果没有则尝试用 IP (不推荐，小程序应传 userId/openid)
+    const userIdentifier = userId || req.headers["x-forwarded-for"]?.split(",")[0]?.trim() || "anonymous_user";
+
+    // 获取OCR配置，确定API源和用户等级对应的模型
+    const config = await getQuotaConfig();
+
+    // 确定用户等级（不消耗额度）
+    const userLevel = await getQuotaUserLevel(userIdentifier);
+
+    // 多页报告按用户等级限制页数（在扣减额度之前检查；PDF 使用独立的页数限制）
+    if (pages.length > 1 && !pages.some(isPdfPage)) {
+      const maxPages = getMaxPages(config, userLevel);
+      if (pages.length > maxPages) {
+        return reply(400, {
+          error: "TOO_MANY_PAGES",
+          message: `当前等级单次最多识别 ${maxPages} 页报告`,
+          maxPages
+        });
+      }
+    }
+
+    // 故障转移顺序，各服务商使用该用户等级对应的模型
+    const chain = getOcrProviderChain(config);
+    const getModel = (provider, providerInfo) => getOcrModel(config, provider, userLevel, providerInfo);
+    const systemPrompt = await ocrMode.buildSystemPrompt(req.body);
+
+    // 同一报告重复上传时直接返回缓存结果，不消耗额度
+    const cached = await findCachedOcrResult(config, pages, chain, getModel, systemPrompt);
+    if (cached) {
+      const data = await ocrMode.postProcess(req, cached.data, config);
+      data.cached = true;
+      incrementApiStats('image-base64');
+      await logUserUsage(req, "image-base64", { ...getOcrLogFields(data, mode), ...cached.meta, cached: true });
+      console.log(`[OCR] Cache hit for ${nickname || userId || 'anonymous'}, quota not consumed`);
+      return reply(200, data);
+    }
+
+    // 解析 PDF / 组装模型输入（失败时不消耗额度）
+    const ocrInput = await buildOcrInput(pages, config, ocrMode);
+
+    // ----- 配额检查 START -----
+    // 多页报告整体只预扣一次额度
+    reservation = await reserveQuota(userIdentifier, nickname);
+    const quotaResult = reservation.quota;
+    if (!quotaResult.allowed) {
+      return reply(403, {
+        error: "QUOTA_EXCEEDED",
+        message: "本周免费额度已用完，请联系管理员获取兑换码。",
+        quota: quotaResult
+      });
+    }
+    // ----- 配额检查 END -----
+
+    console.log(`[OCR] User ${nickname || userId || 'anonymous'} (${userLevel}) using ${chain.join(' → ')}, ${mode} ${ocrInput.sourceType} pages: ${ocrInput.pageCount}`);
+
+    // 按故障转移顺序调用
+    const { data, provider, model, failedAttempts } = await runOcrWithFailover({
+      req,
+      chain,
+      getModel,
+      images: ocrInput.images,
+      text: ocrInput.text,
+      context: "image-base64",
+      ocrMode,
+      systemPrompt
+    });
 
     // 检查是否解析失败
-    if (mapData.error === "JSON_PARSE_FAILED") {
-      console.error("[excel] JSON parse failed, raw preview:", mapData.rawTextPreview);
-      return res.status(500).json({
+    if (data.error === "JSON_PARSE_FAILED") {
+      console.error("[image-base64] JSON parse failed, raw preview:", data.rawTextPreview);
+      return reply(500, {
         error: "JSON_PARSE_FAILED",
-        message: "Failed to parse Gemini response",
-        detail: mapData.parseError
+        message: "Failed to parse AI response",
+        detail: data.parseError,
+        quota: await refundQuota(reservation)
+      });
+    }
+
+    // 检查结构校验（含一次自修复）是否失败
+    if (data.error === "OCR_SCHEMA_INVALID") {
+      return reply(500, {
+        error: "OCR_SCHEMA_INVALID",
+        message: "AI response does not match the expected report structure",
+        errors: data.errors,
+        quota: await refundQuota(reservation)
+      });
+    }
+
+    if (ocrInput.pageCount > 1) {
+      ocrMode.dedupe(data);
+      data.pageCount = ocrInput.pageCount;
+    }
+
+    // 识别结果有效，确认扣减
+    commitQuota(reservation);
+
+    const cacheMeta = { sourceType: ocrInput.sourceType, pageCount: ocrInput.pageCount, apiProvider: provider, model };
+    const cacheKey = getOcrCacheKey(config, pages, provider, model, systemPrompt);
+    await saveCachedOcrResult(cacheKey, data, cacheMeta, config.ocrCacheTtlHours);
+    await ocrMode.postProcess(req, data, config);
+
+    // 统计成功调用（保存到 Redis）
+    incrementApiStats('image-base64');
+
+    // 记录用户使用（小程序端需要传递 nickname 字段）
+    await logUserUsage(req, "image-base64", {
+      ...getOcrLogFields(data, mode),
+      sourceType: ocrInput.sourceType,
+      pageCount: ocrInput.pageCount,
+      apiProvider: provider,
+      model,
+      failover: failedAttempts.length > 0,
+      failedAttempts,
+      preprocess: ocrInput.preprocess
+    });
+
+    return reply(200, data);
+  } catch (err) {
+    console.error("Image base64 analyze error:", err);
+    const message = err instanceof Error ? err.message : String(err);
+    await logOcrFailure(req, "image-base64", err);
+    const quota = await refundQuota(reservation);
+    if (
+      message.includes("429") ||
+      message.includes("Resource has been exhausted")
+    ) {
+      return reply(429, {
+        error: "RATE_LIMIT",
+        message,
+        quota,
+      });
+    }
+    if (message === "NO_API_KEY") {
+      return reply(400, {
+        error: "NO_API_KEY",
+        message: "No Gemini API key configured on server",
+        quota,
       });
     }
+    if (PDF_ERROR_MESSAGES[message]) {
+      return reply(400, {
+        error: message,
+        message: PDF_ERROR_MESSAGES[message],
+        quota,
+      });
+    }
+    return reply(500, {
+      error: "IMAGE_ANALYZE_FAILED",
+      message,
+      quota,
+    });
+  }
+};
+
+app.post("/api/analyze/image-base64", async (req, res) => {
+  // 获取并发槽位（按用户等级排队，KING/Pro 优先；队列满或等待超时返回 503）
+  try {
+    await acquireSlot({ priority: await getQueuePriority(req) });
+  } catch (err) {
+    return sendQueueUnavailable(res, err) || res.status(500).json({ error: "IMAGE_ANALYZE_FAILED", message: err.message });
+  }
+
+  try {
+    const { status, body } = await runImageBase64Ocr(req);
+    return res.status(status).json(body);
+  } finally {
+    // 无论成功失败都要释放槽位
+    releaseSlot();
+  }
+});
+
+// ===========================================
+// 异步 OCR 任务：提交后立即返回任务 ID，客户端轮询状态和结果
+// 任务状态持久化到 Redis（无 Redis 时为本地文件），图片只保存在内存中
+// 任务只允许提交者（userId）查询；执行中的任务定期写入心跳，多实例部署时据此判断任务是否丢失
+// ===========================================
+const OCR_JOBS_FILE = path.join(DATA_DIR, "ocr_jobs.json");
+const OCR_JOB_REDIS_PREFIX = 'ocr:job:';
+const OCR_JOB_TTL_SECONDS = 24 * 60 * 60; // 任务结果保留 24 小时
+const OCR_JOBS_MAX_LOCAL = 200;            // 本地文件最多保留任务数
+const OCR_JOB_WAIT_TIMEOUT_MS = 10 * 60 * 1000; // 异步任务最长排队时间（客户端轮询，不受请求超时限制）
+const OCR_JOB_HEARTBEAT_MS = 30 * 1000;          // 排队/执行中的任务每 30 秒写入一次心跳
+const OCR_JOB_LOST_AFTER_MS = 3 * OCR_JOB_HEARTBEAT_MS; // 超过 90 秒没有心跳视为任务丢失（实例重启或下线）
+
+// 本进程中排队/执行中的任务
+const activeOcrJobs = new Set();
+
+const readLocalOcrJobs = async () => {
+  try {
+    return JSON.parse(await fs.promises.readFile(OCR_JOBS_FILE, "utf-8"));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error("[Jobs] Failed to read local jobs:", err.message);
+  }
+  return {};
+};
+
+const saveOcrJob = async (job) => {
+  if (USE_REDIS) {
+    await redisCommand('SETEX', `${OCR_JOB_REDIS_PREFIX}${job.id}`, OCR_JOB_TTL_SECONDS, JSON.stringify(job));
+    return;
+  }
+
+  try {
+    if (!fs.existsSync(DATA_DIR)) return;
+    await updateLocalJsonFile(OCR_JOBS_FILE, (jobs) => {
+      const expireBefore = Date.now() - OCR_JOB_TTL_SECONDS * 1000;
+      jobs[job.id] = job;
+      const entries = Object.entries(jobs).filter(([, item]) => new Date(item.createdAt).getTime() > expireBefore);
+      return Object.fromEntries(entries.slice(-OCR_JOBS_MAX_LOCAL));
+    });
+  } catch (err) {
+    console.error("[Jobs] Failed to save local jobs:", err.message);
+  }
+};
+
+const getOcrJob = async (id) => {
+  if (USE_REDIS) {
+    const data = await redisCommand('GET', `${OCR_JOB_REDIS_PREFIX}${id}`);
+    try {
+      return data ? JSON.parse(data) : null;
+    } catch (err) {
+      return null;
+    }
+  }
+  return (await readLocalOcrJobs())[id] || null;
+};
+
+// 排队/执行期间定期写入心跳，返回停止函数（等待进行中的写入完成，避免覆盖最终状态）
+const startOcrJobHeartbeat = (job) => {
+  let pending = Promise.resolve();
+  const timer = setInterval(() => {
+    job.heartbeatAt = new Date().toISOString();
+    pending = pending
+      .then(() => saveOcrJob(job))
+      .catch(err => console.error(`[Jobs] Heartbeat for ${job.id} failed:`, err.message));
+  }, OCR_JOB_HEARTBEAT_MS);
+  timer.unref();
+  return async () => {
+    clearInterval(timer);
+    await pending;
+  };
+};
+
+// 未完成的任务不在本进程中且心跳超时：所在实例已重启或下线，标记为失败并保存
+const markLostOcrJob = async (job) => {
+  if (job.status !== 'queued' && job.status !== 'running') return;
+  if (activeOcrJobs.has(job.id)) return;
+  const lastSeen = new Date(job.heartbeatAt || job.startedAt || job.createdAt).getTime();
+  if (Date.now() - lastSeen < OCR_JOB_LOST_AFTER_MS) return;
+
+  job.status = 'failed';
+  job.error = { httpStatus: 500, error: "JOB_LOST", message: "服务重启导致任务中断，请重新提交" };
+  job.finishedAt = new Date().toISOString();
+  await saveOcrJob(job);
+  console.log(`[Jobs] OCR job ${job.id} lost (last heartbeat ${job.heartbeatAt || 'none'})`);
+};
+
+// 小程序请求的排队优先级（按 userId 对应的用户等级）
+const getQueuePriority = async (req) => {
+  const userId = req.body?.userId;
+  return userId ? await getQuotaUserLevel(userId) : 'normal';
+};
+
+// 任务执行用的请求快照（识别流程只读取 body、客户端 IP 和 API Key 请求头）
+const createJobRequest = (req) => {
+  const headers = {
+    "x-forwarded-for": req.headers["x-forwarded-for"],
+    "x-real-ip": req.headers["x-real-ip"],
+    "x-gemini-api-key": req.header("x-gemini-api-key")
+  };
+  return {
+    body: req.body,
+    headers,
+    socket: { remoteAddress: req.socket?.remoteAddress },
+    header: (name) => headers[name.toLowerCase()]
+  };
+};
+
+const finishOcrJob = async (job) => {
+  job.finishedAt = new Date().toISOString();
+  activeOcrJobs.delete(job.id);
+  await saveOcrJob(job);
+  console.log(`[Jobs] OCR job ${job.id} ${job.status}`);
+};
+
+const runOcrJob = async (job, jobReq, priority) => {
+  const stopHeartbeat = startOcrJobHeartbeat(job);
+  try {
+    await acquireSlot({ priority, jobId: job.id, timeoutMs: OCR_JOB_WAIT_TIMEOUT_MS });
+  } catch (err) {
+    await stopHeartbeat();
+    job.status = 'failed';
+    job.error = { httpStatus: 503, error: err.message, message: "排队等待超时，请稍后重新提交" };
+    await finishOcrJob(job);
+    return;
+  }
+
+  try {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    await saveOcrJob(job);
+
+    const { status, body } = await runImageBase64Ocr(jobReq);
+    if (status === 200) {
+      job.status = 'done';
+      job.result = body;
+    } else {
+      job.status = 'failed';
+      job.error = { httpStatus: status, ...body };
+    }
+  } catch (err) {
+    job.status = 'failed';
+    job.error = { httpStatus: 500, error: "JOB_FAILED", message: err instanceof Error ? err.message : String(err) };
+  } finally {
+    releaseSlot();
+    await stopHeartbeat();
+    await finishOcrJob(job);
+  }
+};
+
+// 提交识别任务（请求体与 /api/analyze/image-base64 相同，userId 必填，查询结果时需提供同一 userId）
+app.post("/api/jobs/ocr", async (req, res) => {
+  const isMultiPage = Array.isArray(req.body?.images);
+  if (!req.body?.userId) {
+    return res.status(400).json({ error: "userId is required" });
+  }
+  if (getRequestPages(req.body).length === 0) {
+    return res.status(400).json({ error: isMultiPage ? "images must not be empty" : "base64 is required" });
+  }
+
+  // 队列已满时直接拒绝，避免任务在内存中堆积
+  if (requestQueue.length >= MAX_QUEUE_LENGTH) {
+    queueStats.rejectedFull++;
+    return sendQueueUnavailable(res, new Error("QUEUE_FULL"));
+  }
+
+  const job = {
+    id: crypto.randomUUID(),
+    type: 'ocr',
+    status: 'queued',
+    userId: String(req.body.userId),
+    createdAt: new Date().toISOString()
+  };
+  job.heartbeatAt = job.createdAt;
+  await saveOcrJob(job);
+
+  activeOcrJobs.add(job.id);
+  runOcrJob(job, createJobRequest(req), await getQueuePriority(req)).catch(err => {
+    console.error(`[Jobs] OCR job ${job.id} crashed:`, err.message);
+  });
+
+  console.log(`[Jobs] OCR job ${job.id} queued for ${req.body.nickname || req.body.userId || 'anonymous'}`);
+
+  return res.status(202).json({
+    success: true,
+    jobId: job.id,
+    status: job.status,
+    queuePosition: getQueuePosition(job.id)
+  });
+});
+
+// 查询任务状态：queued / running / done / failed（?userId= 必须与提交时一致，否则按不存在处理）
+app.get("/api/jobs/:id", async (req, res) => {
+  const { userId } = req.query;
+  if (!userId) {
+    return res.status(400).json({ success: false, error: "userId is required" });
+  }
+
+  const job = await getOcrJob(req.params.id);
+  if (!job || job.userId !== String(userId)) {
+    return res.status(404).json({ success: false, error: "JOB_NOT_FOUND", message: "任务不存在或已过期" });
+  }
+
+  await markLostOcrJob(job);
+
+  return res.json({
+    success: true,
+    jobId: job.id,
+    status: job.status,
+    queuePosition: job.status === 'queued' ? getQueuePosition(job.id) : 0,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt || null,
+    finishedAt: job.finishedAt || null,
+    result: job.result || null,
+    error: job.error || null
+  });
+});
+
+// ========== Excel 表头映射 ==========
+// 先用本地检验字典匹配表头（日期、肌酐、尿素氮等常见列无需调用模型），
+// 只把未匹配的列交给模型；每列返回 confidence 和 source（dictionary / ai）
+
+const EXCEL_DATE_KEYWORDS = ['日期', '时间', 'date', 'time'];
+// 只含 "时间"/"time" 的表头也可能是检验项（凝血酶原时间），可信度低于含 "日期"/"date" 的表头
+const EXCEL_DATE_STRONG_KEYWORDS = ['日期', 'date'];
+
+const EXCEL_HEADER_SYSTEM_PROMPT = `
+You map spreadsheet column headers of a kidney patient's lab history to standard lab item IDs.
+
+Return ONLY a valid JSON object:
+{
+  "dateColumnIndex": -1,
+  "mappings": [
+    { "columnIndex": 3, "id": "scr", "name": "原始表头", "category": "肾功能", "confidence": 0.9 }
+  ]
+}
+
+Rules:
+- dateColumnIndex is the index of the date/time column among the given columns, or -1 if none of them is a date column
+- Only map columns that hold lab test values; skip remarks, hospital, doctor and other non-numeric columns
+- Prefer one of the known IDs when the column is the same test; otherwise use a short lowercase snake_case id
+- name is the original header text; category is a Chinese category name such as 肾功能, 血常规, 尿常规, 电解质
+- confidence is a NUMBER between 0 and 1: how sure you are about the mapping
+`;
+
+const EXCEL_HEADER_REPAIR_RULES = `dateColumnIndex must be a number; each mapping needs a numeric columnIndex,
+string id, name and category, and a numeric confidence between 0 and 1.`;
+
+// 请求中的表头：[{ index, text }]，也接受字符串数组
+const getRequestHeaders = (headers) => headers
+  .map((header, i) => typeof header === 'string'
+    ? { index: i, text: header.trim() }
+    : { index: Number(header?.index), text: String(header?.text ?? '').trim() })
+  .filter(header => Number.isInteger(header.index) && header.index >= 0 && header.text);
+
+// 表头中括号内的单位（如 "肌酐(μmol/L)"），只识别换算表中的单位
+const getHeaderUnit = (text, id) => {
+  const bracket = text.match(/[(（\[](.+?)[)）\]]\s*$/);
+  if (!bracket || !LAB_UNIT_CONVERSIONS[id]) return undefined;
+  const key = normalizeLabName(bracket[1]);
+  return Object.keys(LAB_UNIT_CONVERSIONS[id].units).find(unit => normalizeLabName(unit) === key);
+};
+
+// 用本地字典解析表头，返回 { dateColumnIndex, dateConfidence, mappings, unmatched }
+// 先查字典再判断日期列：凝血酶原时间等检验项的表头也含 "时间"，不能因此被当成日期列或直接丢弃
+const resolveHeadersLocally = (headers, dictionary) => {
+  const aliasIndex = buildLabAliasIndex(dictionary);
+  const mappings = [];
+  const unmatched = [];
+  let dateHeader = null;
+  let dateConfidence = 0;
+
+  for (const header of headers) {
+    const key = normalizeLabName(header.text);
+    const id = lookupLabItemId(header.text, aliasIndex);
+
+    // 日期列：表头就是关键词时最可信，包含 "日期" 的（如 "检查日期"）次之，只含 "时间" 的再次之；
+    // 落选的候选列留在未匹配列中，交给模型判断（可能是 PT、APTT 等字典中没有的检验项）
+    if (!id && EXCEL_DATE_KEYWORDS.some(word => key.includes(word))) {
+      const confidence = EXCEL_DATE_KEYWORDS.includes(key) ? 1
+        : EXCEL_DATE_STRONG_KEYWORDS.some(word => key.includes(word)) ? 0.9 : 0.8;
+      if (confidence > dateConfidence) {
+        if (dateHeader) unmatched.push(dateHeader);
+        dateHeader = header;
+        dateConfidence = confidence;
+      } else {
+        unmatched.push(header);
+      }
+      continue;
+    }
+
+    if (!id) {
+      unmatched.push(header);
+      continue;
+    }
+    const mapping = {
+      columnIndex: header.index,
+      id,
+      name: header.text,
+      category: dictionary[id].categoryName || UNKNOWN_LAB_CATEGORY,
+      // 整体命中别名为 1，只命中括号内外一部分为 0.9
+      confidence: aliasIndex.has(key) ? 1 : 0.9,
+      source: 'dictionary'
+    };
+    const unit = getHeaderUnit(header.text, id);
+    if (unit) mapping.unit = unit;
+    mappings.push(mapping);
+  }
+
+  return {
+    dateColumnIndex: dateHeader ? dateHeader.index : -1,
+    dateConfidence,
+    mappings,
+    unmatched: unmatched.sort((a, b) => a.index - b.index)
+  };
+};
+
+const buildExcelHeaderPrompt = (columns, dictionary, needDate) => `
+Known IDs: ${Object.entries(dictionary).map(([id, entry]) => `${id}=${entry.name}`).join(', ')}
+
+Columns to map (JSON array of { index, text }):
+${JSON.stringify(columns)}
+${needDate ? '' : '\nThe date column is already known; set dateColumnIndex to -1.'}`;
+
+// 不在本次列中的 columnIndex 不算错误，合并结果时忽略
+const validateExcelHeaderMapping = (data) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return ['root must be a JSON object'];
+  }
+  const errors = [];
+  if (typeof data.dateColumnIndex !== 'number') {
+    errors.push('dateColumnIndex must be a number');
+  }
+  if (!Array.isArray(data.mappings)) {
+    errors.push('mappings must be an array');
+    return errors;
+  }
+  data.mappings.forEach((mapping, index) => {
+    if (!mapping || typeof mapping !== 'object') {
+      errors.push(`mappings[${index}] must be an object`);
+      return;
+    }
+    if (!Number.isInteger(mapping.columnIndex)) {
+      errors.push(`mappings[${index}].columnIndex must be an integer`);
+    }
+    if (typeof mapping.id !== 'string' || !mapping.id.trim()) {
+      errors.push(`mappings[${index}].id must be a non-empty string`);
+    }
+    if (mapping.confidence !== undefined && (typeof mapping.confidence !== 'number' || mapping.confidence < 0 || mapping.confidence > 1)) {
+      errors.push(`mappings[${index}].confidence must be a number between 0 and 1`);
+    }
+  });
+  return truncateOcrErrors(errors);
+};
+
+// 先用本地字典解析表头，未匹配的列再交给模型（有 userId 时扣一次识别额度）
+// 返回 { result, logFields, reservation }；模型调用失败或额度不足时仍返回本地匹配结果，result.ai.error 给出原因
+// 模型映射成功时 reservation 为未确认的预扣，由调用方按最终结果 commitQuota / refundQuota
+const resolveExcelHeaders = async (req, headers, { userId, nickname } = {}) => {
+  const { merged: dictionary } = await getLabDictionary();
+  const local = resolveHeadersLocally(headers, dictionary);
+  const needDate = local.dateColumnIndex === -1;
+  const result = {
+    dateColumnIndex: local.dateColumnIndex,
+    dateConfidence: local.dateConfidence,
+    mappings: local.mappings,
+    unmatchedColumns: local.unmatched.map(header => ({ columnIndex: header.index, name: header.text })),
+    ai: { used: false }
+  };
+  const logFields = {
+    columnsCount: headers.length,
+    dictionaryMatched: local.mappings.length
+  };
+
+  // 全部列都已匹配，无需调用模型
+  if (local.unmatched.length === 0) {
+    return { result, logFields: { ...logFields, aiMatched: 0 } };
+  }
+
+  // 有 userId 时扣该用户的识别额度，按配置的故障转移顺序调用；
+  // 匿名调用（网页端）不按 IP 建立额度用户，与网页端图片识别一样只使用 Gemini（页面选择的模型）
+  const config = await getQuotaConfig();
+  const userLevel = await getQuotaUserLevel(userId);
+  const chain = userId ? getOcrProviderChain(config) : getAnonymousOcrProviderChain();
+  const getModel = (provider, providerInfo) => !userId && provider === 'gemini'
+    ? getModelName(req)
+    : getOcrModel(config, provider, userLevel, providerInfo);
+
+  const reservation = await reserveQuota(userId, nickname);
+  if (!reservation.quota.allowed) {
+    result.ai = { used: false, error: "QUOTA_EXCEEDED", message: "本周免费额度已用完，未匹配的列需手动处理" };
+    result.quota = reservation.quota;
+    return { result, logFields: { ...logFields, aiMatched: 0, aiError: "QUOTA_EXCEEDED" } };
+  }
+
+  // 日期列不会命中检验字典，缺失时也只会在未匹配的列中
+  const columns = local.unmatched;
+  const columnIndexes = new Set(columns.map(header => header.index));
+  let aiResponse;
+  try {
+    aiResponse = await runOcrWithFailover({
+      req,
+      chain,
+      getModel,
+      images: [],
+      text: buildExcelHeaderPrompt(columns.map(({ index, text }) => ({ index, text })), dictionary, needDate),
+      context: "excel-header",
+      ocrMode: { validate: validateExcelHeaderMapping, repairRules: EXCEL_HEADER_REPAIR_RULES },
+      systemPrompt: EXCEL_HEADER_SYSTEM_PROMPT
+    });
+  } catch (err) {
+    const message = err instanceof Error ? err.message : String(err);
+    console.error("[excel] Header mapping AI fallback failed:", message);
+    result.ai = { used: false, error: message === "NO_API_KEY" ? "NO_API_KEY" : "AI_FAILED", message };
+    result.quota = await refundQuota(reservation);
+    return { result, logFields: { ...logFields, aiMatched: 0, aiError: message.slice(0, 200), failedAttempts: err.failedAttempts || [] } };
+  }
+
+  const { data, provider, model, failedAttempts } = aiResponse;
+  if (data.error) {
+    console.error("[excel] Header mapping AI response invalid:", data.errors || data.parseError);
+    result.ai = { used: false, error: data.error, message: "AI 返回的表头映射无效" };
+    result.quota = await refundQuota(reservation);
+    return { result, logFields: { ...logFields, aiMatched: 0, aiError: data.error, apiProvider: provider, model } };
+  }
+
+  // 只采纳本地未匹配的列，模型给出的 id 若在字典中则使用字典分类
+  const aiMappings = data.mappings
+    .filter(mapping => columnIndexes.has(mapping.columnIndex))
+    .map(mapping => {
+      const id = mapping.id.trim();
+      const header = headers.find(h => h.index === mapping.columnIndex);
+      return {
+        columnIndex: mapping.columnIndex,
+        id,
+        name: header.text,
+        category: dictionary[id]?.categoryName || (typeof mapping.category === 'string' && mapping.category) || UNKNOWN_LAB_CATEGORY,
+        confidence: typeof mapping.confidence === 'number' ? Math.round(mapping.confidence * 100) / 100 : 0.5,
+        source: 'ai'
+      };
+    });
+
+  if (needDate && columnIndexes.has(data.dateColumnIndex) && !aiMappings.some(m => m.columnIndex === data.dateColumnIndex)) {
+    result.dateColumnIndex = data.dateColumnIndex;
+    result.dateConfidence = 0.7;
+  }
+  const aiMapped = new Set(aiMappings.map(mapping => mapping.columnIndex));
+  result.mappings = [...local.mappings, ...aiMappings].sort((x, y) => x.columnIndex - y.columnIndex);
+  result.unmatchedColumns = result.unmatchedColumns.filter(column =>
+    !aiMapped.has(column.columnIndex) && column.columnIndex !== result.dateColumnIndex);
+  result.ai = { used: true, provider, model };
+
+  return {
+    result,
+    reservation,
+    logFields: {
+      ...logFields,
+      aiMatched: aiMappings.length,
+      apiProvider: provider,
+      model,
+      failover: failedAttempts.length > 0,
+      failedAttempts
+    }
+  };
+};
+
+// ===========================================
+// API 端点：Excel 表头分析
+// ===========================================
+app.post("/api/analyze/excel-header", async (req, res) => {
+  try {
+    if (!Array.isArray(req.body?.headers) || req.body.headers.length === 0) {
+      return res.status(400).json({ error: "headers array is required" });
+    }
+    const headers = getRequestHeaders(req.body.headers);
+    const { result, logFields, reservation } = await resolveExcelHeaders(req, headers, req.body);
+    commitQuota(reservation);
+
+    // 统计成功调用（保存到 Redis）
+    if (!result.ai.error) incrementApiStats('excel');
+
+    await logUserUsage(req, "excel-header", logFields);
+    return res.json(result);
+  } catch (err) {
+    console.error("Excel header analyze error:", err);
+    const message = err instanceof Error ? err.message : String(err);
+    return res.status(500).json({
+      error: "EXCEL_HEADER_ANALYZE_FAILED",
+      message,
+    });
+  }
+});
+
+// ========== 表格导入 ==========
+// 网页和小程序共用：识别表头行、映射列、解析日期和数值，直接返回 MedicalRecord 数组
+
+const SPREADSHEET_EXTENSIONS = ['.xlsx', '.xls', '.csv'];
+const SPREADSHEET_MAX_ROWS = parseInt(process.env.SPREADSHEET_MAX_ROWS) || 5000;
+const SPREADSHEET_HEADER_SCAN_ROWS = 20;
+// 未传 tzOffset 时按北京时间（UTC+8）计算日期零点，取值同 Date.prototype.getTimezoneOffset()
+const DEFAULT_TZ_OFFSET_MINUTES = -480;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Excel 日期序列号的起点（1900 年闰年 bug 只影响 1900-03-01 之前的日期）
+const EXCEL_EPOCH_MS = Date.UTC(1899, 11, 30);
+// 只接受 1950–2100 年之间的日期，避免把检验数值误当成序列号
+const SPREADSHEET_MIN_YEAR = 1950;
+const SPREADSHEET_MAX_YEAR = 2100;
+// 表示未检查的占位符，不生成检验项
+const SPREADSHEET_EMPTY_VALUES = new Set(['/', '\\', '--', '—', '未查', '未做', '未检']);
+
+// 日期文本格式：年在前（2024-03-05、2024/3/5、2024.3.5、2024年3月5日、20240305）或年在后（5/3/2024）
+const SPREADSHEET_DATE_PATTERNS = [
+  { pattern: /(\d{4})\s*[-/.年]\s*(\d{1,2})\s*[-/.月]\s*(\d{1,2})\s*日?/, yearFirst: true },
+  { pattern: /(?<!\d)(\d{4})(\d{2})(\d{2})(?!\d)/, yearFirst: true },
+  { pattern: /(?<!\d)(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})(?!\d)/, yearFirst: false }
+];
+
+const getCellText = (cell) => (cell === null || cell === undefined ? '' : String(cell).trim());
+
+const getRowHeaders = (row) => (row || [])
+  .map((cell, index) => ({ index, text: getCellText(cell) }))
+  .filter(header => header.text);
+
+// CSV 没有编码声明，中文系统下 Excel 默认另存为 GBK：不是合法 UTF-8 时按 GB18030 解码
+const decodeCsvBuffer = (buffer) => {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch {
+    return new TextDecoder('gb18030').decode(buffer);
+  }
+};
+
+// 读取工作表为二维数组；未指定 sheet 时取第一个有内容的工作表
+// 超过 SPREADSHEET_MAX_ROWS 的行不解析，返回 truncated
+const readSpreadsheetRows = async (file, extension, sheet) => {
+  const XLSX = await loadXlsx();
+  const sheetRows = SPREADSHEET_MAX_ROWS + 1;
+  const workbook = extension === '.csv'
+    ? XLSX.read(decodeCsvBuffer(file.buffer), { type: 'string', raw: true, sheetRows })
+    : XLSX.read(file.buffer, { type: 'buffer', sheetRows });
+
+  const toRows = (name) => XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, raw: true, defval: null });
+  let sheetName = null;
+  let rows = [];
+  if (sheet !== undefined && sheet !== '') {
+    sheetName = workbook.SheetNames.includes(sheet) ? sheet : workbook.SheetNames[Number(sheet)];
+    if (!sheetName) return { sheetNames: workbook.SheetNames, sheetName: null };
+    rows = toRows(sheetName);
+  } else {
+    for (const name of workbook.SheetNames) {
+      rows = toRows(name);
+      sheetName = name;
+      if (rows.some(row => getRowHeaders(row).length > 0)) break;
+    }
+  }
+
+  return {
+    sheetNames: workbook.SheetNames,
+    sheetName,
+    rows: rows.slice(0, SPREADSHEET_MAX_ROWS),
+    truncated: rows.length > SPREADSHEET_MAX_ROWS
+  };
+};
+
+// 表头行：前 20 行中命中字典和日期关键词最多的一行，都未命中时取文本单元格最多的一行
+const detectHeaderRow = (rows, dictionary) => {
+  let best = { index: -1, score: 0 };
+  rows.slice(0, SPREADSHEET_HEADER_SCAN_ROWS).forEach((row, index) => {
+    const headers = getRowHeaders(row);
+    if (headers.length === 0) return;
+    const local = resolveHeadersLocally(headers, dictionary);
+    const matched = local.mappings.length + (local.dateColumnIndex >= 0 ? 1 : 0);
+    const textCount = headers.filter(header => parseLabNumber(header.text) === null).length;
+    const score = matched * 100 + textCount;
+    if (score > best.score) best = { index, score };
+  });
+  return best.index;
+};
+
+const toSpreadsheetDate = (year, month, day) => {
+  if (year < SPREADSHEET_MIN_YEAR || year > SPREADSHEET_MAX_YEAR) return null;
+  const time = Date.UTC(year, month - 1, day);
+  const date = new Date(time);
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return { year, month, day };
+};
+
+// 解析日期单元格，返回 { year, month, day, rest }，rest 为日期以外的文字（如 "住院"），无法解析返回 null
+// 数字按 Excel 日期序列号或 20240305 处理；年在后时，点分隔按 日.月.年，其余在两个数都不超过 12 时按 月/日/年（Excel 英文版默认格式）
+const parseSpreadsheetDate = (cell) => {
+  if (typeof cell === 'number') {
+    if (!Number.isFinite(cell)) return null;
+    if (Number.isInteger(cell) && cell >= 19000101 && cell <= 21001231) {
+      return parseSpreadsheetDate(String(cell));
+    }
+    const date = new Date(EXCEL_EPOCH_MS + Math.floor(cell) * DAY_MS);
+    const parsed = toSpreadsheetDate(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+    return parsed && { ...parsed, rest: '' };
+  }
+
+  const text = getCellText(cell).normalize('NFKC');
+  for (const { pattern, yearFirst } of SPREADSHEET_DATE_PATTERNS) {
+    const match = text.match(pattern);
+    if (!match) continue;
+    const [a, b, c] = match.slice(1, 4).map(Number);
+    let parsed;
+    if (yearFirst) {
+      parsed = toSpreadsheetDate(a, b, c);
+    } else {
+      const dayFirst = a > 12 || match[0].includes('.');
+      parsed = dayFirst ? toSpreadsheetDate(c, b, a) : toSpreadsheetDate(c, a, b);
+    }
+    if (parsed) {
+      // 去掉时间部分，剩余文字作为就诊信息
+      const rest = text.replace(match[0], '').replace(/\d{1,2}:\d{2}(:\d{2})?/, '').trim();
+      return { ...parsed, rest };
+    }
+  }
+  return null;
+};
+
+// 表头中找不到日期列时，取数据行中能解析为日期最多的一列（至少一半的非空行可解析）
+const detectDateColumn = (rows, mappedColumns) => {
+  const counts = new Map();
+  const sample = rows.slice(0, SPREADSHEET_HEADER_SCAN_ROWS);
+  const filled = sample.filter(row => getRowHeaders(row).length > 0).length;
+  for (const row of sample) {
+    (row || []).forEach((cell, index) => {
+      if (mappedColumns.has(index) || !parseSpreadsheetDate(cell)) return;
+      counts.set(index, (counts.get(index) || 0) + 1);
+    });
+  }
+  let best = { index: -1, count: 0 };
+  for (const [index, count] of counts) {
+    if (count > best.count) best = { index, count };
+  }
+  return best.count > 0 && best.count * 2 >= filled ? best.index : -1;
+};
+
+// 检验值：数字去掉浮点尾数，文本去掉 ↑↓ 标记
+const getSpreadsheetValue = (cell) => {
+  if (typeof cell === 'number') {
+    return Number.isFinite(cell) ? String(Number(cell.toPrecision(12))) : '';
+  }
+  const text = getCellText(cell).replace(/[↑↓]/g, '').trim();
+  return SPREADSHEET_EMPTY_VALUES.has(text) ? '' : text;
+};
+
+// 表头已带单位（如 "肌酐(μmol/L)"）时，检验项名称去掉括号部分
+const getMappingItemName = (mapping) => mapping.unit
+  ? mapping.name.replace(/\s*[(（\[][^)）\]]*[)）\]]\s*$/, '') || mapping.name
+  : mapping.name;
+
+// 将数据行转换为 MedicalRecord，日期或检验值为空的行跳过
+const buildSpreadsheetRecords = (rows, { dateColumnIndex, mappings, tzOffset, configName, dictionary }) => {
+  const records = [];
+  let skippedRows = 0;
+  const now = Date.now();
+
+  for (const row of rows) {
+    if (getRowHeaders(row).length === 0) continue;
+
+    const date = parseSpreadsheetDate(row[dateColumnIndex]);
+    const items = date ? mappings
+      .map(mapping => ({
+        id: mapping.id,
+        name: getMappingItemName(mapping),
+        value: getSpreadsheetValue(row[mapping.columnIndex]),
+        unit: mapping.unit || '',
+        range: '',
+        categoryName: mapping.category
+      }))
+      .filter(item => item.value) : [];
+
+    if (items.length === 0) {
+      skippedRows++;
+      continue;
+    }
+
+    // 日期单元格中的附加文字视为医院/就诊类型（如 "2024-03-05 住院"）
+    let title = '复查记录';
+    if (date.rest) title = date.rest.includes('住院') ? '住院检查' : '门诊复查';
+    const timestamp = Date.UTC(date.year, date.month - 1, date.day) + tzOffset * 60 * 1000;
+    const record = {
+      id: crypto.randomUUID(),
+      title,
+      date: timestamp,
+      hospital: date.rest,
+      doctor: '',
+      nextReviewDate: timestamp + 30 * DAY_MS,
+      notes: '',
+      prescription: '',
+      configName,
+      items,
+      medications: [],
+      remarkPhotos: [],
+      createdAt: now,
+      updatedAt: now
+    };
+    applyUnitConversions(record, dictionary);
+    records.push(record);
+  }
+
+  return { records, skippedRows };
+};
+
+// ===========================================
+// API 端点：表格导入（Excel / CSV）
+// ===========================================
+app.post("/api/import/spreadsheet", upload.single("file"), async (req, res) => {
+  let reservation;
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: "NO_FILE", message: "请上传 Excel 或 CSV 文件" });
+    }
+    const extension = path.extname(req.file.originalname || '').toLowerCase();
+    if (!SPREADSHEET_EXTENSIONS.includes(extension)) {
+      return res.status(400).json({ error: "UNSUPPORTED_FILE_TYPE", message: `仅支持 ${SPREADSHEET_EXTENSIONS.join(' / ')} 文件` });
+    }
+    const tzOffset = req.body?.tzOffset === undefined ? DEFAULT_TZ_OFFSET_MINUTES : Number(req.body.tzOffset);
+    if (!Number.isInteger(tzOffset) || Math.abs(tzOffset) > 14 * 60) {
+      return res.status(400).json({ error: "INVALID_TZ_OFFSET", message: "tzOffset 应为 -840 到 840 之间的整数（分钟）" });
+    }
+
+    let sheet;
+    try {
+      sheet = await readSpreadsheetRows(req.file, extension, req.body?.sheet);
+    } catch (err) {
+      console.error("[import] Failed to read spreadsheet:", err.message);
+      return res.status(400).json({ error: "INVALID_SPREADSHEET", message: "表格文件无法读取，请确认文件未损坏" });
+    }
+    if (!sheet.sheetName) {
+      return res.status(400).json({ error: "SHEET_NOT_FOUND", message: "找不到指定的工作表", sheetNames: sheet.sheetNames });
+    }
+
+    const { merged: dictionary } = await getLabDictionary();
+    const headerRowIndex = detectHeaderRow(sheet.rows, dictionary);
+    if (headerRowIndex === -1) {
+      return res.status(400).json({ error: "EMPTY_SPREADSHEET", message: "表格为空" });
+    }
+
+    const headers = getRowHeaders(sheet.rows[headerRowIndex]);
+    const dataRows = sheet.rows.slice(headerRowIndex + 1);
+    const { result: mapping, logFields, reservation: headerReservation } = await resolveExcelHeaders(req, headers, req.body);
+    reservation = headerReservation;
+
+    let { dateColumnIndex, dateConfidence } = mapping;
+    if (dateColumnIndex === -1) {
+      dateColumnIndex = detectDateColumn(dataRows, new Set(mapping.mappings.map(m => m.columnIndex)));
+      dateConfidence = dateColumnIndex === -1 ? 0 : 0.6;
+    }
+    if (dateColumnIndex === -1) {
+      await refundQuota(reservation);
+      return res.status(400).json({ error: "NO_DATE_COLUMN", message: "未找到日期列，请确认表格中有检查日期" });
+    }
+
+    const { records, skippedRows } = buildSpreadsheetRecords(dataRows, {
+      dateColumnIndex,
+      mappings: mapping.mappings.filter(m => m.columnIndex !== dateColumnIndex),
+      tzOffset,
+      configName: extension === '.csv' ? 'CSV 导入' : 'Excel 导入',
+      dictionary
+    });
 
-    // 统计成功调用（保存到 Redis）
     incrementApiStats('excel');
+    await logUserUsage(req, "spreadsheet-import", {
+      ...logFields,
+      fileType: extension.slice(1),
+      rowsCount: dataRows.length,
+      recordsCount: records.length,
+      skippedRows
+    });
 
-    return res.json(mapData);
-  } catch (err) {
-    console.error("Excel header analyze error:", err);
-    const message = err instanceof Error ? err.message : String(err);
-    if (
-      message.includes("429") ||
-      message.includes("Resource has been exhausted")
-    ) {
-      return res.status(429).json({
-        error: "RATE_LIMIT",
-        message,
-      });
-    }
-    if (message === "NO_API_KEY") {
+    if (records.length === 0) {
+      // 没有可导入的数据时，表头映射消耗的额度原路退还
+      await refundQuota(reservation);
       return res.status(400).json({
-        error: "NO_API_KEY",
-        message: "No Gemini API key provided",
+        error: "NO_VALID_ROWS",
+        message: "未能解析出有效数据行，请检查日期列和检验项目列",
+        mappings: mapping.mappings,
+        unmatchedColumns: mapping.unmatchedColumns,
+        ai: mapping.ai
       });
     }
+
+    commitQuota(reservation);
+    return res.json({
+      records,
+      sheetName: sheet.sheetName,
+      sheetNames: sheet.sheetNames,
+      headerRowIndex,
+      dateColumnIndex,
+      dateConfidence,
+      mappings: mapping.mappings,
+      unmatchedColumns: mapping.unmatchedColumns.filter(column => column.columnIndex !== dateColumnIndex),
+      skippedRows,
+      truncated: sheet.truncated,
+      ai: mapping.ai,
+      ...(mapping.quota && { quota: mapping.quota })
+    });
+  } catch (err) {
+    console.error("Spreadsheet import error:", err);
+    await refundQuota(reservation);
+    const message = err instanceof Error ? err.message : String(err);
     return res.status(500).json({
-      error: "EXCEL_HEADER_ANALYZE_FAILED",
+      error: "SPREADSHEET_IMPORT_FAILED",
       message,
     });
   }
@@ -1374,17 +4015,14 @@ app.post("/api/analyze/excel-header", async (req, res) => {
 // 智能小结功能（独立模块 - 使用七牛云 API）
 // ===========================================
 
-// 七牛云 AI API 配置
-const QINIU_AI_API_KEY = process.env.QINIU_AI_API_KEY || "";
+// 七牛云 AI API 配置（Key 读取 QINIU_AI_API_KEY，各服务商的 Key 来源见 AI 服务商注册表）
 const QINIU_AI_BASE_URL = "https://api.qnaigc.com/v1";
 
-// 心流平台（iFlow）API 配置 - 免费API作为备选
-const IFLOW_AI_API_KEY = process.env.IFLOW_AI_API_KEY || "";
+// 心流平台（iFlow）API 配置 - 免费API作为备选（Key 读取 IFLOW_AI_API_KEY）
 const IFLOW_AI_BASE_URL = "https://apis.iflow.cn/v1";
 const IFLOW_DEFAULT_MODEL = "qwen3-max";  // 心流平台的默认模型
 
-// Gemini API 配置（智能小结专用，与OCR的GEMINI_API_KEY分开）
-const SUMMARY_GEMINI_API_KEY = process.env.SUMMARY_GEMINI_API_KEY || "";
+// 智能小结直连 Gemini 时读取 SUMMARY_GEMINI_API_KEY（与OCR的GEMINI_API_KEY分开）
 
 // ========== 智能小结模型配置 ==========
 // Gemini 模型选项列表
@@ -1410,20 +4048,426 @@ const SUMMARY_MODELS = {
   'gemini-2.0-flash': 'gemini-2.0-flash-001'
 };
 
-// Gemini API 直连时使用的模型名
-const GEMINI_DIRECT_MODELS = {
-  'gemini-3-flash-preview': 'gemini-3-flash-preview',
-  'gemini-2.5-flash': 'gemini-2.5-flash',
-  'gemini-2.0-flash': 'gemini-2.0-flash'
+const DEFAULT_SUMMARY_MODEL = 'gemini-2.5-flash';
+
+// ========== AI 服务商注册表 ==========
+// OCR 与智能小结都从注册表中选择服务商，新增 OpenAI 兼容的服务商无需改动调用代码
+// type: 'gemini'（@google/genai SDK）| 'openai'（OpenAI 兼容的 /chat/completions 接口）| 'mock'（离线固定响应）
+// capabilities: text 文本生成 / vision 图片输入 / json JSON 输出模式（response_format）
+// models: 模型 id -> { name, description, modelId? }，modelId 为实际请求的模型名（默认同 id）
+// 请求的模型不在 models 中时使用 defaultModel；有 tierModels 时各用户等级使用其中的模型（未指定的等级用 defaultModel）
+
+// Mock 服务商：不联网，返回固定的识别结果和小结，用于本地开发和测试
+// MOCK_AI=1 时 OCR 和智能小结全部走 Mock（忽略后台配置）；MOCK_AI_ALLOW_ADMIN=1 时只注册不强制，可在后台把 API 源选为 Mock
+// 两者都未设置时不注册 Mock，后台无法选用（避免线上误选）
+// 场景由请求头 x-mock-scenario 或 MOCK_AI_SCENARIO 指定（请求头同样只在 Mock 注册时生效）：
+// ok 正常 / 429 限流 / timeout 等待 MOCK_AI_TIMEOUT_MS 后超时 / malformed 返回残缺 JSON / slow 等待 MOCK_AI_SLOW_MS 后正常返回
+const MOCK_AI_ENABLED = ['1', 'true'].includes(String(process.env.MOCK_AI || '').toLowerCase());
+const MOCK_AI_REGISTERED = MOCK_AI_ENABLED || ['1', 'true'].includes(String(process.env.MOCK_AI_ALLOW_ADMIN || '').toLowerCase());
+const MOCK_AI_SCENARIOS = ['ok', '429', 'timeout', 'malformed', 'slow'];
+const MOCK_AI_DEFAULT_SCENARIO = MOCK_AI_SCENARIOS.includes(process.env.MOCK_AI_SCENARIO) ? process.env.MOCK_AI_SCENARIO : 'ok';
+const MOCK_AI_SLOW_MS = parseInt(process.env.MOCK_AI_SLOW_MS) || 3000;
+const MOCK_AI_TIMEOUT_MS = parseInt(process.env.MOCK_AI_TIMEOUT_MS) || 30 * 1000;
+const MOCK_AI_MODEL = 'mock-model';
+
+const BUILTIN_AI_PROVIDERS = {
+  gemini: {
+    name: 'Gemini',
+    type: 'gemini',
+    keyEnv: 'GEMINI_API_KEY',
+    // 智能小结直连 Gemini 时使用独立的 Key
+    summaryKeyEnv: 'SUMMARY_GEMINI_API_KEY',
+    capabilities: { text: true, vision: true, json: true },
+    models: { ...GEMINI_OCR_MODEL_OPTIONS, ...GEMINI_MODEL_OPTIONS },
+    defaultModel: DEFAULT_SUMMARY_MODEL
+  },
+  iflow: {
+    name: 'iFlow',
+    type: 'openai',
+    baseUrl: IFLOW_AI_BASE_URL,
+    keyEnv: 'IFLOW_AI_API_KEY',
+    capabilities: { text: true, vision: true, json: true },
+    models: { ...IFLOW_OCR_MODEL_OPTIONS, ...IFLOW_MODEL_OPTIONS },
+    defaultModel: IFLOW_DEFAULT_MODEL
+  },
+  // 七牛云代理 Gemini 模型，选择 Gemini 作为小结 API 源时优先使用
+  qiniu: {
+    name: '七牛云',
+    type: 'openai',
+    baseUrl: QINIU_AI_BASE_URL,
+    keyEnv: 'QINIU_AI_API_KEY',
+    capabilities: { text: true, vision: true, json: false },
+    models: Object.fromEntries(Object.entries(SUMMARY_MODELS)
+      .map(([id, modelId]) => [id, { ...GEMINI_MODEL_OPTIONS[id], modelId }])),
+    defaultModel: DEFAULT_SUMMARY_MODEL
+  },
+  mock: {
+    name: 'Mock',
+    type: 'mock',
+    capabilities: { text: true, vision: true, json: true },
+    models: { [MOCK_AI_MODEL]: { name: 'Mock', description: '离线固定响应，仅用于开发测试' } },
+    defaultModel: MOCK_AI_MODEL,
+    tierModels: {}
+  }
 };
 
-// iFlow 心流平台模型映射（直接使用）
-const IFLOW_MODELS = {
-  'qwen3-max': 'qwen3-max',
-  'kimi-k2-0905': 'kimi-k2-0905'
+// 后台登记的 OpenAI 兼容端点（如自建的 vLLM / Ollama 服务）
+// { [id]: { name, baseUrl, apiKey?, keyEnv?, models: [模型名], tierModels: { normal, pro, king }, capabilities, enabled } }
+const AI_PROVIDERS_REDIS_KEY = 'ai:providers';
+const AI_PROVIDERS_FILE = path.join(DATA_DIR, "ai_providers.json");
+const AI_PROVIDER_ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,31}$/;
+const AI_PROVIDER_MAX_MODELS = 20;
+// 自定义端点只能读取 AI_PROVIDER_*_KEY 形式的环境变量，避免通过后台读出 Redis、管理员密码等服务器配置
+const CUSTOM_AI_KEY_ENV_PATTERN = /^AI_PROVIDER_[A-Z0-9_]+_KEY$/;
+
+// 返回 { custom, loadFailed }：读取失败时 custom 为空、loadFailed 为 true（后台修改时据此拒绝保存）
+const loadCustomAiProviders = async () => {
+  try {
+    return { custom: await readAdminJson(AI_PROVIDERS_REDIS_KEY, AI_PROVIDERS_FILE), loadFailed: false };
+  } catch (err) {
+    console.error("[Storage] Failed to get AI providers:", err.message);
+    return { custom: {}, loadFailed: true };
+  }
 };
 
-const DEFAULT_SUMMARY_MODEL = 'gemini-2.5-flash';
+const getCustomAiProviders = async () => (await loadCustomAiProviders()).custom;
+
+const saveCustomAiProviders = async (custom) => {
+  // redisCommand 出错时返回 null；读取只走 Redis，写入失败时不能降级到本地文件
+  if (USE_REDIS) {
+    const result = await redisCommand('SET', AI_PROVIDERS_REDIS_KEY, JSON.stringify(custom));
+    if (result === null) {
+      console.error("[Redis] Failed to save AI providers");
+      return false;
+    }
+    return true;
+  }
+  // 降级到本地文件
+  try {
+    if (fs.existsSync(DATA_DIR)) {
+      fs.writeFileSync(AI_PROVIDERS_FILE, JSON.stringify(custom, null, 2), "utf-8");
+      return true;
+    }
+  } catch (err) {
+    console.error("[Storage] Failed to save AI providers:", err.message);
+  }
+  return false;
+};
+
+// 返回 { [id]: provider }：内置服务商 + 已启用的自定义端点（自定义端点转换为与内置相同的结构）
+const getAiProviders = async () => {
+  const providers = {};
+  for (const [id, provider] of Object.entries(BUILTIN_AI_PROVIDERS)) {
+    if (provider.type === 'mock' && !MOCK_AI_REGISTERED) continue;
+    providers[id] = { ...provider, id, custom: false };
+  }
+  const custom = await getCustomAiProviders();
+  for (const [id, entry] of Object.entries(custom)) {
+    if (!entry.enabled || providers[id]) continue;
+    providers[id] = {
+      id,
+      name: entry.name || id,
+      type: 'openai',
+      baseUrl: entry.baseUrl,
+      apiKey: entry.apiKey || '',
+      keyEnv: CUSTOM_AI_KEY_ENV_PATTERN.test(entry.keyEnv || '') ? entry.keyEnv : '',
+      capabilities: { ...entry.capabilities },
+      models: Object.fromEntries(entry.models.map(model => [model, { name: model }])),
+      defaultModel: entry.models[0],
+      tierModels: entry.tierModels || {},
+      custom: true
+    };
+  }
+  return providers;
+};
+
+// purpose: 'ocr' | 'summary'
+const getProviderApiKey = (provider, purpose) => {
+  if (provider.apiKey) return provider.apiKey;
+  const env = purpose === 'summary' && provider.summaryKeyEnv ? provider.summaryKeyEnv : provider.keyEnv;
+  return env ? process.env[env] || "" : "";
+};
+
+// 服务商是否可用：Gemini OCR 还接受请求头传入的 Key；没有 Key 来源的服务商（Mock、未设置 Key 的自定义端点）视为无需鉴权
+const isProviderConfigured = (req, provider, purpose) => {
+  if (provider.type === 'gemini' && purpose === 'ocr') {
+    return ENV_API_KEYS.length > 0 || Boolean(req?.header("x-gemini-api-key"));
+  }
+  if (!provider.apiKey && !provider.keyEnv) return true;
+  return Boolean(getProviderApiKey(provider, purpose));
+};
+
+const getProviderModelId = (provider, model) => {
+  const id = provider.models[model] ? model : provider.defaultModel;
+  return provider.models[id]?.modelId || id;
+};
+
+// OpenAI 兼容接口：图片以 base64 data URL 传递，json 为 true 且服务商支持时要求 JSON 输出
+const requestOpenAICompatible = async (provider, turns, { model, systemPrompt, maxTokens, temperature, json, purpose, signal }, stream) => {
+  const messages = systemPrompt ? [{ role: "system", content: systemPrompt }] : [];
+  for (const turn of turns) {
+    if (turn.role === 'model') {
+      messages.push({ role: "assistant", content: turn.text });
+      continue;
+    }
+    if (!turn.images?.length) {
+      messages.push({ role: "user", content: turn.text });
+      continue;
+    }
+    const content = turn.images.map(image => ({
+      type: "image_url",
+      image_url: { url: `data:${image.mimeType || 'image/jpeg'};base64,${image.data}` }
+    }));
+    content.push({ type: "text", text: turn.text });
+    messages.push({ role: "user", content });
+  }
+
+  const apiKey = getProviderApiKey(provider, purpose);
+  const response = await fetch(`${provider.baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+    method: 'POST',
+    headers: {
+      ...(apiKey && { 'Authorization': `Bearer ${apiKey}` }),
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      model: getProviderModelId(provider, model),
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      // 流式请求需显式要求 usage，服务商才会在结束前发送带 usage 的分片（choices 为空）
+      ...(stream && { stream: true, stream_options: { include_usage: true } }),
+      ...(json && provider.capabilities.json && { response_format: { type: "json_object" } })
+    }),
+    signal
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    console.error(`[AI] ${provider.name} error: ${response.status}`, errorText);
+    throw new Error(`${provider.name} API error: ${response.status}`);
+  }
+  return response;
+};
+
+const callOpenAICompatible = async (provider, turns, options) => {
+  const response = await requestOpenAICompatible(provider, turns, options, false);
+  const data = await response.json();
+  return {
+    content: data.choices?.[0]?.message?.content || "",
+    usage: data.usage || {}
+  };
+};
+
+// 流式响应为 SSE：逐行读取 "data: {json}"，以 "data: [DONE]" 结束；usage 在 [DONE] 之前的最后一个分片中
+const streamOpenAICompatible = async (provider, turns, options, onDelta) => {
+  const response = await requestOpenAICompatible(provider, turns, options, true);
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let content = "";
+  let usage = {};
+
+  const handleLine = (line) => {
+    if (!line.startsWith("data:")) return;
+    const payload = line.slice(5).trim();
+    if (!payload || payload === "[DONE]") return;
+    let chunk;
+    try {
+      chunk = JSON.parse(payload);
+    } catch {
+      console.warn(`[AI] ${provider.name} stream: skipped unparsable chunk`);
+      return;
+    }
+    if (chunk.usage) usage = chunk.usage;
+    const delta = chunk.choices?.[0]?.delta?.content;
+    if (delta) {
+      content += delta;
+      onDelta(delta);
+    }
+  };
+
+  for await (const bytes of response.body) {
+    buffer += decoder.decode(bytes, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+    lines.forEach(handleLine);
+  }
+  handleLine(buffer + decoder.decode());
+
+  return { content, usage };
+};
+
+// Gemini SDK：OCR 使用 GEMINI_API_KEY 池（限流时自动换 Key），智能小结使用 SUMMARY_GEMINI_API_KEY
+// generate(client, request) 调用 generateContent 或 generateContentStream
+const requestGemini = async (provider, turns, { req, model, systemPrompt, maxTokens, temperature, json, purpose, context, signal }, generate) => {
+  const contents = turns.map(turn => ({
+    role: turn.role === 'model' ? 'model' : 'user',
+    parts: [
+      ...(turn.images || []).map(image => ({
+        inlineData: { mimeType: image.mimeType || "image/jpeg", data: image.data }
+      })),
+      { text: turn.text }
+    ]
+  }));
+
+  const request = {
+    model: getProviderModelId(provider, model),
+    contents,
+    config: {
+      systemInstruction: systemPrompt,
+      ...(json && { responseMimeType: "application/json" }),
+      ...(maxTokens && { maxOutputTokens: maxTokens }),
+      ...(temperature !== undefined && { temperature }),
+      ...(signal && { abortSignal: signal })
+    },
+  };
+
+  if (purpose === 'summary') {
+    const GenAI = await loadGenAI();
+    return generate(new GenAI({ apiKey: getProviderApiKey(provider, purpose) }), request);
+  }
+  return withGeminiClient(req, context, (client) => generate(client, request));
+};
+
+const callGeminiProvider = async (provider, turns, options) => {
+  const response = await requestGemini(provider, turns, options, (client, request) => client.models.generateContent(request));
+  return {
+    content: response.text || "",
+    usage: response.usageMetadata || {}
+  };
+};
+
+// 流式调用：最后一个分片的 usageMetadata 为整次调用的用量
+const streamGeminiProvider = async (provider, turns, options, onDelta) => {
+  const stream = await requestGemini(provider, turns, options, (client, request) => client.models.generateContentStream(request));
+  let content = "";
+  let usage = {};
+  for await (const chunk of stream) {
+    if (chunk.usageMetadata) usage = chunk.usageMetadata;
+    const delta = chunk.text;
+    if (delta) {
+      content += delta;
+      onDelta(delta);
+    }
+  }
+  return { content, usage };
+};
+
+// Mock 的固定识别结果：按系统提示词区分检验单、处方和 Excel 表头映射
+const MOCK_LAB_RECORD = {
+  title: '肾功能',
+  date: '2024-03-05',
+  hospital: 'Mock 医院',
+  reportType: 'renal_function',
+  items: [
+    { name: '肌酐', value: '130', unit: 'μmol/L', range: '57-111', confidence: 0.98 },
+    { name: '尿素', value: '6.5', unit: 'mmol/L', range: '3.1-8.0', confidence: 0.97 },
+    { name: '尿酸', value: '420', unit: 'μmol/L', range: '208-428', confidence: 0.95 }
+  ]
+};
+
+const MOCK_PRESCRIPTION_RECORD = {
+  title: '处方笺',
+  date: '2024-03-05',
+  hospital: 'Mock 医院',
+  doctor: '张医生',
+  medications: [
+    { name: '他克莫司胶囊', dosage: '1mg', usage: '口服', timesPerDay: 2, amountPerDose: 1 },
+    { name: '吗替麦考酚酯片', dosage: '0.5g', usage: '口服', timesPerDay: 2, amountPerDose: 2 }
+  ]
+};
+
+const MOCK_EXCEL_HEADER_MAPPING = { dateColumnIndex: -1, mappings: [] };
+
+const getMockScenario = (req) => {
+  if (!MOCK_AI_REGISTERED) return MOCK_AI_DEFAULT_SCENARIO;
+  const scenario = req?.header("x-mock-scenario");
+  return MOCK_AI_SCENARIOS.includes(scenario) ? scenario : MOCK_AI_DEFAULT_SCENARIO;
+};
+
+const getMockContent = (turns, { systemPrompt, json }) => {
+  if (json) {
+    if (systemPrompt === PRESCRIPTION_SYSTEM_PROMPT) return JSON.stringify(MOCK_PRESCRIPTION_RECORD);
+    if (systemPrompt === EXCEL_HEADER_SYSTEM_PROMPT) return JSON.stringify(MOCK_EXCEL_HEADER_MAPPING);
+    return JSON.stringify(MOCK_LAB_RECORD);
+  }
+  // 小结只与输入规模有关，相同输入得到相同输出
+  const last = turns[turns.length - 1];
+  return `## 总体评估（Mock）
+这是离线 Mock 服务商返回的固定小结，仅用于开发测试，不代表真实分析结果。
+
+- 输入：${last.images?.length || 0} 张图片，${last.text.length} 字文本
+- 建议：请以医生的解读为准，按时复查。`;
+};
+
+// 离线服务商：按场景模拟正常响应、限流、超时、残缺 JSON 和慢响应
+const callMockProvider = async (provider, turns, { req, systemPrompt, json }) => {
+  const scenario = getMockScenario(req);
+  const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  if (scenario === '429') {
+    throw new Error(`${provider.name} API error: 429 (simulated rate limit)`);
+  }
+  if (scenario === 'timeout') {
+    await wait(MOCK_AI_TIMEOUT_MS);
+    throw new Error(`${provider.name} API error: 504 (simulated timeout after ${MOCK_AI_TIMEOUT_MS}ms)`);
+  }
+  if (scenario === 'slow') {
+    await wait(MOCK_AI_SLOW_MS);
+  }
+
+  const content = scenario === 'malformed'
+    ? '{"title": "肾功能", "items": [{"name": "肌酐", "value": '
+    : getMockContent(turns, { systemPrompt, json });
+  return {
+    content,
+    usage: { mock: true, scenario }
+  };
+};
+
+// 按固定长度切分固定结果，分片间隔 MOCK_AI_STREAM_CHUNK_MS，客户端断开后停止输出
+const MOCK_AI_STREAM_CHUNK_CHARS = 16;
+const MOCK_AI_STREAM_CHUNK_MS = 50;
+
+const streamMockProvider = async (provider, turns, options, onDelta) => {
+  const result = await callMockProvider(provider, turns, options);
+  for (let i = 0; i < result.content.length; i += MOCK_AI_STREAM_CHUNK_CHARS) {
+    if (options.signal?.aborted) {
+      throw new Error(`${provider.name} stream aborted`);
+    }
+    onDelta(result.content.slice(i, i + MOCK_AI_STREAM_CHUNK_CHARS));
+    await new Promise(resolve => setTimeout(resolve, MOCK_AI_STREAM_CHUNK_MS));
+  }
+  return result;
+};
+
+const AI_PROVIDER_ADAPTERS = {
+  gemini: callGeminiProvider,
+  openai: callOpenAICompatible,
+  mock: callMockProvider
+};
+
+// 流式适配器：onDelta(text) 接收增量文本，返回值同普通适配器（content 为完整文本）
+const AI_PROVIDER_STREAM_ADAPTERS = {
+  gemini: streamGeminiProvider,
+  openai: streamOpenAICompatible,
+  mock: streamMockProvider
+};
+
+// 调用注册表中的服务商，返回 { content, usage, provider }
+// turns: [{ role: 'user' | 'model', images?: [{ data, mimeType }], text }]
+// options: { req, model, systemPrompt, maxTokens, temperature, json, purpose: 'ocr' | 'summary', context }
+const callAiProvider = async (provider, turns, options) => {
+  console.log(`[AI] Calling ${provider.name} (${options.purpose}) with model: ${getProviderModelId(provider, options.model)}`);
+  const result = await AI_PROVIDER_ADAPTERS[provider.type](provider, turns, options);
+  return { ...result, provider: provider.id };
+};
+
+// 流式调用注册表中的服务商，options 可带 signal 用于中止上游请求
+const streamAiProvider = async (provider, turns, options, onDelta) => {
+  console.log(`[AI] Streaming ${provider.name} (${options.purpose}) with model: ${getProviderModelId(provider, options.model)}`);
+  const result = await AI_PROVIDER_STREAM_ADAPTERS[provider.type](provider, turns, options, onDelta);
+  return { ...result, provider: provider.id };
+};
 
 // 智能小结默认配额配置
 const DEFAULT_SUMMARY_QUOTA_CONFIG = {
@@ -1437,6 +4481,19 @@ const DEFAULT_SUMMARY_QUOTA_CONFIG = {
   maxImagesNormal: 1,     // 普通用户最多1张图
   maxImagesPro: 3,        // Pro用户最多3张图
   maxImagesKing: 5,       // KING用户最多5张图
+
+  // 趋势小结单独计数（每周次数）
+  trendNormalWeeklyLimit: 1,
+  trendProWeeklyLimit: 3,
+  trendKingWeeklyLimit: 999,
+
+  // 小结历史保留：条数（0 为不保存）和天数（0 为不限）
+  historyLimitNormal: 10,
+  historyLimitPro: 50,
+  historyLimitKing: 200,
+  historyDaysNormal: 90,
+  historyDaysPro: 365,
+  historyDaysKing: 0,
   
   // Gemini 各用户等级使用的模型
   geminiNormalModel: 'gemini-2.0-flash',
@@ -1502,7 +4559,33 @@ const saveSummaryPrompts = async (prompts) => {
   return false;
 };
 
-// 获取智能小结配额配置（从 Redis）
+// 无 Redis 时智能小结的配置和用量存放在本地 summary_quotas.json（{ config, users }，与 OCR 的 user_quotas.json 相同）
+const SUMMARY_QUOTA_FILE = path.join(DATA_DIR, "summary_quotas.json");
+
+const readLocalSummaryQuota = () => {
+  try {
+    if (fs.existsSync(SUMMARY_QUOTA_FILE)) {
+      return JSON.parse(fs.readFileSync(SUMMARY_QUOTA_FILE, "utf-8"));
+    }
+  } catch (err) { }
+  return {};
+};
+
+const writeLocalSummaryQuota = (field, value) => {
+  try {
+    if (fs.existsSync(DATA_DIR)) {
+      const existing = readLocalSummaryQuota();
+      existing[field] = value;
+      fs.writeFileSync(SUMMARY_QUOTA_FILE, JSON.stringify(existing, null, 2), "utf-8");
+      return true;
+    }
+  } catch (err) {
+    console.error(`[Storage] Failed to save summary ${field}:`, err.message);
+  }
+  return false;
+};
+
+// 获取智能小结配额配置
 const getSummaryConfig = async () => {
   if (USE_REDIS) {
     try {
@@ -1513,8 +4596,10 @@ const getSummaryConfig = async () => {
     } catch (err) {
       console.error("[Redis] Failed to get summary config:", err.message);
     }
+    return DEFAULT_SUMMARY_QUOTA_CONFIG;
   }
-  return DEFAULT_SUMMARY_QUOTA_CONFIG;
+  // 降级到本地文件
+  return { ...DEFAULT_SUMMARY_QUOTA_CONFIG, ...readLocalSummaryQuota().config };
 };
 
 // 保存智能小结配额配置
@@ -1527,8 +4612,10 @@ const saveSummaryConfig = async (config) => {
     } catch (err) {
       console.error("[Redis] Failed to save summary config:", err.message);
     }
+    return false;
   }
-  return false;
+  // 降级到本地文件
+  return writeLocalSummaryQuota('config', newConfig);
 };
 
 // 获取用户智能小结使用数据
@@ -1540,8 +4627,10 @@ const getSummaryUsers = async () => {
     } catch (err) {
       console.error("[Redis] Failed to get summary users:", err.message);
     }
+    return {};
   }
-  return {};
+  // 降级到本地文件
+  return readLocalSummaryQuota().users || {};
 };
 
 // 保存用户智能小结使用数据
@@ -1553,32 +4642,54 @@ const saveSummaryUsers = async (users) => {
     } catch (err) {
       console.error("[Redis] Failed to save summary users:", err.message);
     }
+    return false;
+  }
+  // 降级到本地文件
+  return writeLocalSummaryQuota('users', users);
+};
+
+// 智能小结额度桶：文本和图片小结共用 summary，趋势小结单独计数
+// limitKeys 为各等级的每周限额配置项；趋势用量记在用户记录的 trend 字段中
+const SUMMARY_QUOTA_BUCKETS = {
+  summary: { limitKeys: { normal: 'normalWeeklyLimit', pro: 'proWeeklyLimit', king: 'kingWeeklyLimit' } },
+  trend: { limitKeys: { normal: 'trendNormalWeeklyLimit', pro: 'trendProWeeklyLimit', king: 'trendKingWeeklyLimit' } }
+};
+
+// 返回用户在某个额度桶中的用量记录 { weeklyUsage, currentWeek, totalUsage }（summary 桶即用户记录本身）
+const getSummaryBucketUsage = (user, bucket) => {
+  if (bucket === 'summary') return user;
+  if (!user[bucket]) {
+    user[bucket] = { weeklyUsage: 0, currentWeek: getCurrentWeekId(), totalUsage: 0 };
+  }
+  return user[bucket];
+};
+
+const getSummaryWeeklyLimit = (config, userLevel, bucket = 'summary') => {
+  const { limitKeys } = SUMMARY_QUOTA_BUCKETS[bucket];
+  return config[limitKeys[userLevel] || limitKeys.normal];
+};
+
+// 按用户等级获取图片小结的最大图片数
+const getSummaryMaxImages = (config, userLevel) => {
+  switch (userLevel) {
+    case 'king':
+      return config.maxImagesKing;
+    case 'pro':
+      return config.maxImagesPro;
+    default:
+      return config.maxImagesNormal;
   }
-  return false;
 };
 
 // 检查并扣除智能小结配额
-const checkAndConsumeSummaryQuota = async (userId, nickname, userLevel = 'normal') => {
+// userLevel 必须来自 resolveUserTier，不接受客户端传入的等级
+const checkAndConsumeSummaryQuota = async (userId, nickname, userLevel = 'normal', bucket = 'summary') => {
   if (!userId) {
     return { allowed: false, reason: "no_user_id", remaining: 0 };
   }
 
-  // 【重要】首先从 OCR 系统的用户数据中读取用户等级
-  // 这样 King 用户（isUnlimited）和 Pro 用户在智能小结中也能享受对应权益
   const ocrUsers = await getQuotaUsers();
   const ocrUser = ocrUsers[userId];
-  
-  // 确定实际的用户等级（OCR系统的等级优先于传入的参数）
-  let actualUserLevel = userLevel;
-  if (ocrUser) {
-    if (ocrUser.isUnlimited) {
-      actualUserLevel = 'king';
-      console.log(`[Summary] User ${userId} is KING (isUnlimited from OCR system)`);
-    } else if (ocrUser.isPro) {
-      actualUserLevel = 'pro';
-      console.log(`[Summary] User ${userId} is Pro (isPro from OCR system)`);
-    }
-  }
 
   const config = await getSummaryConfig();
   const users = await getSummaryUsers();
@@ -1595,220 +4706,193 @@ const checkAndConsumeSummaryQuota = async (userId, nickname, userLevel = 'normal
 
   const user = users[userId];
   if (nickname) user.nickname = nickname;
+  const usage = getSummaryBucketUsage(user, bucket);
 
   // 检查周重置
   const thisWeek = getCurrentWeekId();
-  if (user.currentWeek !== thisWeek) {
-    user.currentWeek = thisWeek;
-    user.weeklyUsage = 0;
+  if (usage.currentWeek !== thisWeek) {
+    usage.currentWeek = thisWeek;
+    usage.weeklyUsage = 0;
   }
 
   // 根据用户等级获取每周限额
-  let weeklyLimit;
-  switch (actualUserLevel) {
-    case 'king':
-      weeklyLimit = config.kingWeeklyLimit;
-      break;
-    case 'pro':
-      weeklyLimit = config.proWeeklyLimit;
-      break;
-    default:
-      weeklyLimit = config.normalWeeklyLimit;
-  }
+  const weeklyLimit = getSummaryWeeklyLimit(config, userLevel, bucket);
 
   // 检查是否超过限额
-  if (user.weeklyUsage >= weeklyLimit) {
+  if (usage.weeklyUsage >= weeklyLimit) {
     return { 
       allowed: false, 
       reason: "quota_exceeded", 
       remaining: 0,
       weeklyLimit,
-      weeklyUsage: user.weeklyUsage,
-      userLevel: actualUserLevel
+      weeklyUsage: usage.weeklyUsage,
+      userLevel
     };
   }
 
   // 扣除配额
-  user.weeklyUsage++;
-  user.totalUsage = (user.totalUsage || 0) + 1;
+  usage.weeklyUsage++;
+  usage.totalUsage = (usage.totalUsage || 0) + 1;
   await saveSummaryUsers(users);
 
   return { 
     allowed: true, 
     reason: "success", 
-    remaining: weeklyLimit - user.weeklyUsage,
+    remaining: weeklyLimit - usage.weeklyUsage,
     weeklyLimit,
-    weeklyUsage: user.weeklyUsage,
-    userLevel: actualUserLevel
+    weeklyUsage: usage.weeklyUsage,
+    userLevel
   };
 };
 
-// 调用七牛云 AI API
-const callQiniuAI = async (model, messages, maxTokens = 2000) => {
-  const modelId = SUMMARY_MODELS[model] || SUMMARY_MODELS[DEFAULT_SUMMARY_MODEL];
-  
-  console.log(`[Summary] Calling Qiniu AI with model: ${modelId}`);
-
-  const response = await fetch(`${QINIU_AI_BASE_URL}/chat/completions`, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${QINIU_AI_API_KEY}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      model: modelId,
-      messages: messages,
-      max_tokens: maxTokens,
-      temperature: 0.7
-    })
-  });
+// ========== 额度预扣 / 确认 / 退还 ==========
+// 请求校验通过后先预扣额度（沿用原有扣减逻辑，避免并发请求超用），
+// 返回有效结果时确认；解析失败、结构不合格或服务商报错时按原路退还
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    console.error(`[Summary] Qiniu AI error: ${response.status}`, errorText);
-    throw new Error(`Qiniu AI API error: ${response.status}`);
-  }
+// 预扣 OCR 额度
+const reserveQuota = async (userId, nickname) => {
+  const week = getCurrentWeekId();
+  const quota = await checkAndConsumeQuota(userId, nickname);
+  return { type: 'ocr', userId, week, quota, status: quota.allowed ? 'reserved' : 'rejected' };
+};
 
-  const data = await response.json();
-  return {
-    content: data.choices?.[0]?.message?.content || "",
-    usage: data.usage || {},
-    provider: 'qiniu'
-  };
+// 预扣智能小结额度（bucket 见 SUMMARY_QUOTA_BUCKETS）
+const reserveSummaryQuota = async (userId, nickname, userLevel, bucket = 'summary') => {
+  const week = getCurrentWeekId();
+  const quota = await checkAndConsumeSummaryQuota(userId, nickname, userLevel, bucket);
+  return { type: 'summary', bucket, userId, week, quota, status: quota.allowed ? 'reserved' : 'rejected' };
 };
 
-// 调用心流平台（iFlow）API - 免费API，使用OpenAI兼容格式
-const callIflowAI = async (model, messages, maxTokens = 2000) => {
-  // 从映射中获取实际模型ID，如果没有则使用默认
-  const modelId = IFLOW_MODELS[model] || IFLOW_DEFAULT_MODEL;
-  
-  console.log(`[Summary] Calling iFlow AI with model: ${modelId}`);
+// 确认扣减，返回最终额度状态
+const commitQuota = (reservation) => {
+  if (reservation?.status === 'reserved') {
+    reservation.status = 'committed';
+  }
+  return reservation?.quota;
+};
 
-  const response = await fetch(`${IFLOW_AI_BASE_URL}/chat/completions`, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${IFLOW_AI_API_KEY}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      model: modelId,
-      messages: messages,
-      max_tokens: maxTokens,
-      temperature: 0.7
-    })
-  });
+// 退还 OCR 额度：按扣减来源（每周免费 / 额外额度 / 无限）原路退回
+const refundOcrUsage = async (reservation) => {
+  const { quota } = reservation;
+  if (quota.reason === 'anonymous') return quota;
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    console.error(`[Summary] iFlow AI error: ${response.status}`, errorText);
-    throw new Error(`iFlow AI API error: ${response.status}`);
+  const users = await getQuotaUsers();
+  const user = users[reservation.userId];
+  if (!user) return quota;
+
+  user.totalUsage = Math.max(0, (user.totalUsage || 0) - 1);
+  let refunded = false;
+  if (quota.reason === 'weekly_free' && user.currentWeek === reservation.week) {
+    user.weeklyUsage = Math.max(0, user.weeklyUsage - 1);
+    refunded = true;
+  } else if (quota.reason === 'extra_quota') {
+    user.extraQuota = (user.extraQuota || 0) + 1;
+    refunded = true;
   }
+  await saveQuotaUsers(users);
 
-  const data = await response.json();
-  return {
-    content: data.choices?.[0]?.message?.content || "",
-    usage: data.usage || {},
-    provider: 'iflow'
-  };
+  return refunded ? { ...quota, remaining: quota.remaining + 1 } : quota;
 };
 
-// 调用 Gemini API（使用 @google/genai SDK）
-const callGeminiAI = async (model, messages, maxTokens = 2000) => {
-  const GenAI = await loadGenAI();
-  const client = new GenAI({ apiKey: SUMMARY_GEMINI_API_KEY });
-  
-  const modelName = GEMINI_DIRECT_MODELS[model] || GEMINI_DIRECT_MODELS[DEFAULT_SUMMARY_MODEL];
-  console.log(`[Summary] Calling Gemini API with model: ${modelName}`);
+// 退还智能小结额度（跨周后周用量已重置，无需退还）
+const refundSummaryUsage = async (reservation) => {
+  const { quota } = reservation;
+  const users = await getSummaryUsers();
+  const user = users[reservation.userId];
+  const usage = user && getSummaryBucketUsage(user, reservation.bucket);
+  if (!usage || usage.currentWeek !== reservation.week) return quota;
 
-  // 转换消息格式为 Gemini 格式
-  const systemPrompt = messages.find(m => m.role === 'system')?.content || '';
-  const userMessage = messages.find(m => m.role === 'user');
-  
-  let contents;
-  if (typeof userMessage?.content === 'string') {
-    // 纯文本消息
-    contents = {
-      parts: [{ text: userMessage.content }]
-    };
-  } else if (Array.isArray(userMessage?.content)) {
-    // 多模态消息（包含图片）
-    const parts = [];
-    for (const item of userMessage.content) {
-      if (item.type === 'text') {
-        parts.push({ text: item.text });
-      } else if (item.type === 'image_url') {
-        // 从 data URL 提取 base64
-        const dataUrl = item.image_url.url;
-        const matches = dataUrl.match(/^data:([^;]+);base64,(.+)$/);
-        if (matches) {
-          parts.push({
-            inlineData: {
-              mimeType: matches[1],
-              data: matches[2]
-            }
-          });
-        }
-      }
-    }
-    contents = { parts };
+  usage.weeklyUsage = Math.max(0, usage.weeklyUsage - 1);
+  usage.totalUsage = Math.max(0, (usage.totalUsage || 0) - 1);
+  await saveSummaryUsers(users);
+
+  return { ...quota, remaining: quota.remaining + 1, weeklyUsage: usage.weeklyUsage };
+};
+
+// 退还预扣的额度（已确认或已退还的预扣不会重复处理），返回最终额度状态
+const refundQuota = async (reservation) => {
+  if (reservation?.status !== 'reserved') return reservation?.quota;
+  reservation.status = 'refunded';
+
+  try {
+    reservation.quota = reservation.type === 'summary'
+      ? await refundSummaryUsage(reservation)
+      : await refundOcrUsage(reservation);
+    console.log(`[Quota] Refunded ${reservation.type} quota for ${reservation.userId}`);
+  } catch (err) {
+    console.error(`[Quota] Failed to refund ${reservation.type} quota for ${reservation.userId}:`, err.message);
   }
+  return reservation.quota;
+};
 
-  const response = await client.models.generateContent({
-    model: modelName,
-    contents: contents,
-    config: {
-      systemInstruction: systemPrompt,
-      maxOutputTokens: maxTokens,
-      temperature: 0.7
-    }
-  });
+// 智能小结的调用顺序：选择 Gemini 时优先走七牛云代理，失败再直连 Gemini；其余服务商只调用自身
+const getSummaryProviderChain = (apiProvider) => {
+  if (MOCK_AI_ENABLED) return ['mock'];
+  return apiProvider === 'gemini' ? ['qiniu', 'gemini'] : [apiProvider];
+};
 
-  return {
-    content: response.text || "",
-    usage: {},
-    provider: 'gemini'
-  };
+// 按调用顺序返回已配置 Key 的服务商，都未配置时抛出 No AI API configured
+const getSummaryProviders = async (apiProvider) => {
+  const providers = await getAiProviders();
+  const chain = getSummaryProviderChain(apiProvider)
+    .map(id => providers[id])
+    .filter(provider => provider && isProviderConfigured(null, provider, 'summary'));
+  if (chain.length === 0) {
+    throw new Error(`No AI API configured for summary provider "${apiProvider}"`);
+  }
+  return chain;
 };
 
 // 智能小结 AI 调用（根据配置的API源调用）
-// apiProvider: 'gemini' | 'iflow'，由后台配置决定
-const callSummaryAI = async (model, messages, maxTokens = 2000, apiProvider = 'gemini') => {
+// apiProvider 为注册表中的服务商 id，由后台配置决定；turns 格式同 callAiProvider
+const callSummaryAI = async ({ req, model, systemPrompt, turns, maxTokens = 2000, apiProvider = 'gemini' }) => {
   console.log(`[Summary] API Provider: ${apiProvider}, Model: ${model}`);
-  console.log(`[Summary] API Keys: QINIU=${!!QINIU_AI_API_KEY}, GEMINI=${!!SUMMARY_GEMINI_API_KEY}, IFLOW=${!!IFLOW_AI_API_KEY}`);
-  
-  // 根据配置的API源调用对应的API
-  if (apiProvider === 'iflow') {
-    // 使用心流平台
-    if (!IFLOW_AI_API_KEY) {
-      throw new Error("iFlow API not configured. Set IFLOW_AI_API_KEY environment variable.");
-    }
-    console.log('[Summary] Using iFlow AI...');
-    return await callIflowAI(model, messages, maxTokens);
-  } else {
-    // 使用 Gemini（默认）
-    // 优先使用七牛云代理，失败则直连 Gemini
-    if (QINIU_AI_API_KEY) {
-      try {
-        console.log('[Summary] Using Qiniu AI (Gemini proxy)...');
-        return await callQiniuAI(model, messages, maxTokens);
-      } catch (err) {
-        console.error('[Summary] Qiniu AI failed:', err.message);
-        // 七牛云失败，尝试直连 Gemini
-        if (SUMMARY_GEMINI_API_KEY) {
-          console.log('[Summary] Falling back to direct Gemini API...');
-          return await callGeminiAI(model, messages, maxTokens);
-        }
-        throw err;
-      }
+
+  const chain = await getSummaryProviders(apiProvider);
+  for (const provider of chain) {
+    try {
+      return await callAiProvider(provider, turns, {
+        req,
+        model,
+        systemPrompt,
+        maxTokens,
+        temperature: 0.7,
+        purpose: 'summary',
+        context: 'summary'
+      });
+    } catch (err) {
+      if (provider === chain[chain.length - 1]) throw err;
+      console.error(`[Summary] ${provider.name} failed, trying ${chain[chain.indexOf(provider) + 1].name}:`, err.message);
     }
-    
-    // 如果七牛云未配置，直接使用 Gemini
-    if (SUMMARY_GEMINI_API_KEY) {
-      console.log('[Summary] Using direct Gemini API...');
-      return await callGeminiAI(model, messages, maxTokens);
+  }
+};
+
+// 流式智能小结：增量文本通过 onDelta 转发，signal 中止时取消上游请求
+// 只有尚未输出任何内容时才切换到下一个服务商，已输出部分内容后失败直接抛出
+const streamSummaryAI = async ({ req, model, systemPrompt, turns, maxTokens = 2000, apiProvider = 'gemini', signal, onDelta }) => {
+  console.log(`[Summary] API Provider: ${apiProvider}, Model: ${model} (stream)`);
+
+  const chain = await getSummaryProviders(apiProvider);
+  let started = false;
+  for (const provider of chain) {
+    try {
+      return await streamAiProvider(provider, turns, {
+        req,
+        model,
+        systemPrompt,
+        maxTokens,
+        temperature: 0.7,
+        purpose: 'summary',
+        context: 'summary',
+        signal
+      }, (delta) => {
+        started = true;
+        onDelta(delta);
+      });
+    } catch (err) {
+      if (started || signal?.aborted || provider === chain[chain.length - 1]) throw err;
+      console.error(`[Summary] ${provider.name} failed, trying ${chain[chain.indexOf(provider) + 1].name}:`, err.message);
     }
-    
-    throw new Error("Gemini API not configured. Set QINIU_AI_API_KEY or SUMMARY_GEMINI_API_KEY environment variable.");
   }
 };
 
@@ -1816,6 +4900,7 @@ const callSummaryAI = async (model, messages, maxTokens = 2000, apiProvider = 'g
 let summaryApiStats = {
   textSummary: 0,
   imageSummary: 0,
+  trendSummary: 0,
   totalCalls: 0
 };
 
@@ -1828,6 +4913,7 @@ const loadSummaryStats = async () => {
       const saved = JSON.parse(data);
       summaryApiStats.textSummary = saved.textSummary || 0;
       summaryApiStats.imageSummary = saved.imageSummary || 0;
+      summaryApiStats.trendSummary = saved.trendSummary || 0;
       summaryApiStats.totalCalls = saved.totalCalls || 0;
       console.log(`[Redis] Loaded summary stats: ${summaryApiStats.totalCalls} total calls`);
     }
@@ -1843,6 +4929,7 @@ const saveSummaryStats = async () => {
     await redisCommand('SETEX', 'summary:stats', REDIS_DATA_TTL, JSON.stringify({
       textSummary: summaryApiStats.textSummary,
       imageSummary: summaryApiStats.imageSummary,
+      trendSummary: summaryApiStats.trendSummary,
       totalCalls: summaryApiStats.totalCalls,
       lastUpdated: new Date().toISOString()
     }));
@@ -1857,6 +4944,8 @@ const incrementSummaryStats = async (type) => {
     summaryApiStats.textSummary++;
   } else if (type === 'image') {
     summaryApiStats.imageSummary++;
+  } else if (type === 'trend') {
+    summaryApiStats.trendSummary++;
   }
   summaryApiStats.totalCalls++;
   saveSummaryStats().catch(err => console.error('[Summary Stats] Failed to save:', err.message));
@@ -1865,346 +4954,971 @@ const incrementSummaryStats = async (type) => {
 // 初始化加载统计
 loadSummaryStats();
 
-// ===========================================
-// API 端点：智能小结 - 文本输入模式
-// ===========================================
-app.post("/api/summary/text", async (req, res) => {
-  try {
-    const { userId, nickname, userLevel, model, examData, systemPrompt, promptSlot } = req.body || {};
+// 异常标记在提示词中的显示文字
+const FLAG_LABELS = {
+  high: '偏高↑',
+  low: '偏低↓',
+  positive: '阳性'
+};
+
+// 构建文本小结的用户消息：逐项列出检查结果，异常项加标注，并在开头汇总异常项目
+const buildExamDataContent = (examData) => {
+  const { items } = applyRangeFlags({ items: examData.items });
+
+  const lines = items.map(item => {
+    const mark = item.abnormal ? ` 【异常：${FLAG_LABELS[item.flag] || item.flag}】` : '';
+    return `- ${item.name}: ${item.value} ${item.unit || ''} (参考范围: ${item.range || '未提供'})${mark}`;
+  });
+
+  const abnormalItems = items.filter(item => item.abnormal);
+  const abnormalSection = abnormalItems.length > 0
+    ? `异常项目（共${abnormalItems.length}项，请重点分析）:\n${abnormalItems.map(item => `- ${item.name}: ${item.value} ${item.unit || ''} ${FLAG_LABELS[item.flag] || item.flag}`).join('\n')}\n\n`
+    : '异常项目: 无（所有可判断的项目均在参考范围内）\n\n';
+
+  return `检查日期: ${examData.date || '未知'}\n\n${abnormalSection}检查项目:\n${lines.join('\n')}`;
+};
 
-    // 参数验证
-    if (!userId) {
-      return res.status(400).json({ success: false, error: "userId is required" });
+// ========== 用户等级 ==========
+// 智能小结的等级、额度上限、图片数和模型统一由服务端根据 OCR 用户数据（isPro / isUnlimited）确定，
+// 请求中的 userLevel、model 参数一律忽略
+
+// 按 API 源和用户等级选择服务商和模型，input 为 'text'（文本、趋势小结）或 'image'
+// 返回 { apiProvider, model, modelName }
+const selectSummaryModel = (config, providers, userLevel, input) => {
+  // MOCK_AI=1 时固定使用 Mock；配置的服务商已删除或不支持该输入时回落到 Gemini
+  // 图片小结只使用支持图片输入的自定义端点或 Mock，iFlow 的小结模型不支持图片
+  const configured = providers[MOCK_AI_ENABLED ? 'mock' : config.apiProvider];
+  const supported = input === 'image'
+    ? configured?.tierModels && configured.capabilities.vision
+    : configured?.capabilities.text;
+  const apiProvider = supported ? configured.id : 'gemini';
+  const provider = providers[apiProvider];
+
+  let modelToUse;
+  // 根据API源和用户等级从配置中获取对应模型
+  if (provider.tierModels) {
+    // 自定义端点和 Mock：注册表中的各等级模型
+    modelToUse = provider.tierModels[userLevel] || provider.defaultModel;
+  } else if (apiProvider === 'iflow') {
+    // iFlow 模型
+    switch (userLevel) {
+      case 'king':
+        modelToUse = config.iflowKingModel || 'kimi-k2-0905';
+        break;
+      case 'pro':
+        modelToUse = config.iflowProModel || 'qwen3-max';
+        break;
+      default:
+        modelToUse = config.iflowNormalModel || 'qwen3-max';
     }
-    if (!examData || !examData.items || examData.items.length === 0) {
-      return res.status(400).json({ success: false, error: "examData with items is required" });
+  } else {
+    // Gemini 模型（默认）
+    switch (userLevel) {
+      case 'king':
+        modelToUse = config.geminiKingModel || 'gemini-3-flash-preview';
+        break;
+      case 'pro':
+        modelToUse = config.geminiProModel || 'gemini-2.5-flash';
+        break;
+      default:
+        modelToUse = config.geminiNormalModel || 'gemini-2.0-flash';
     }
+  }
 
-    // 确定使用的提示词：优先使用 promptSlot 预设，其次使用传入的 systemPrompt
-    let finalPrompt = systemPrompt;
-    if (promptSlot && ['slot1', 'slot2', 'slot3', 'slot4'].includes(promptSlot)) {
-      const prompts = await getSummaryPrompts();
-      const slotData = prompts[promptSlot];
-      if (slotData && slotData.prompt && slotData.prompt.trim()) {
-        finalPrompt = slotData.prompt;
-        console.log(`[Summary] Using prompt slot: ${promptSlot} (${slotData.name})`);
-      }
-    }
+  // 验证模型是否在服务商支持列表中
+  const modelOptions = provider.tierModels ? provider.models : SUMMARY_MODEL_OPTIONS;
+  if (!modelOptions[modelToUse]) {
+    modelToUse = provider.defaultModel;
+  }
 
-    if (!finalPrompt) {
-      return res.status(400).json({ success: false, error: "systemPrompt or valid promptSlot is required" });
-    }
+  return { apiProvider, model: modelToUse, modelName: modelOptions[modelToUse]?.name || modelToUse };
+};
 
-    // 检查配额
-    const quotaResult = await checkAndConsumeSummaryQuota(userId, nickname, userLevel || 'normal');
-    if (!quotaResult.allowed) {
-      return res.status(403).json({
-        success: false,
-        error: "QUOTA_EXCEEDED",
-        message: "本周智能小结次数已用完",
-        quota: quotaResult
-      });
+
+// 解析用户的实际等级及其智能小结权益
+// 返回 { userLevel, weeklyLimit, trendWeeklyLimit, maxImages, historyRetention, text, image }，text / image 为 selectSummaryModel 的结果
+const resolveUserTier = async (userId) => {
+  const userLevel = await getQuotaUserLevel(userId);
+  const config = await getSummaryConfig();
+  const providers = await getAiProviders();
+  return {
+    userLevel,
+    weeklyLimit: getSummaryWeeklyLimit(config, userLevel),
+    trendWeeklyLimit: getSummaryWeeklyLimit(config, userLevel, 'trend'),
+    maxImages: getSummaryMaxImages(config, userLevel),
+    historyRetention: getSummaryHistoryRetention(config, userLevel),
+    text: selectSummaryModel(config, providers, userLevel, 'text'),
+    image: selectSummaryModel(config, providers, userLevel, 'image')
+  };
+};
+
+// ========== 智能小结历史 ==========
+// 每次成功的小结连同输入（检验数据或图片哈希）、提示词槽位、模型和时间一起保存，用户可回看、对比和删除
+// 保留条数和天数按用户等级配置（historyLimit* / historyDays*，条数 0 为不保存，天数 0 为不限）
+// Redis 中每个用户一个列表 summary:history:{userId}（新的在前，每条为一个 JSON 元素），
+// 新增和删除都只改动单个元素，并发的小结请求不会互相覆盖；无 Redis 时存放在本地 summary_history.json
+const SUMMARY_HISTORY_FILE = path.join(DATA_DIR, "summary_history.json");
+const SUMMARY_HISTORY_PREVIEW_CHARS = 120;
+
+const getSummaryHistoryKey = (userId) => `summary:history:${userId}`;
+
+const readLocalSummaryHistory = async () => {
+  try {
+    return JSON.parse(await fs.promises.readFile(SUMMARY_HISTORY_FILE, "utf-8"));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error("[Storage] Failed to read summary history:", err.message);
+  }
+  return {};
+};
+
+const parseSummaryHistoryItems = (items) => (items || []).flatMap(raw => {
+  try {
+    return [JSON.parse(raw)];
+  } catch (err) {
+    return [];
+  }
+});
+
+// 返回该用户的历史记录（新的在前）
+const getSummaryHistory = async (userId) => {
+  if (USE_REDIS) {
+    return parseSummaryHistoryItems(await redisCommand('LRANGE', getSummaryHistoryKey(userId), 0, -1));
+  }
+  // 降级到本地文件
+  return (await readLocalSummaryHistory())[userId] || [];
+};
+
+// 在最前面插入一条记录并按保留规则裁剪：超出条数的从列表尾部截掉，
+// 保留天数通过键的过期时间清理（最近一条也过期时整个列表失效），读取时再按天数过滤
+const pushSummaryHistory = async (userId, entry, retention) => {
+  if (USE_REDIS) {
+    const key = getSummaryHistoryKey(userId);
+    if (await redisCommand('LPUSH', key, JSON.stringify(entry)) === null) {
+      console.error("[Redis] Failed to save summary history");
+      return false;
+    }
+    await redisCommand('LTRIM', key, 0, retention.limit - 1);
+    if (retention.days > 0) {
+      await redisCommand('EXPIRE', key, Math.ceil(retention.days * DAY_MS / 1000));
+    } else {
+      await redisCommand('PERSIST', key);
     }
+    return true;
+  }
+  // 降级到本地文件
+  try {
+    if (!fs.existsSync(DATA_DIR)) return false;
+    await updateLocalJsonFile(SUMMARY_HISTORY_FILE, (all) => {
+      all[userId] = applySummaryHistoryRetention([entry, ...(all[userId] || [])], retention);
+      return all;
+    });
+    return true;
+  } catch (err) {
+    console.error("[Storage] Failed to save summary history:", err.message);
+  }
+  return false;
+};
 
-    // 获取配置，确定API源和用户等级对应的模型
-    const config = await getSummaryConfig();
-    const actualUserLevel = quotaResult.userLevel || 'normal';
-    const apiProvider = config.apiProvider || 'gemini';
-    
-    let modelToUse = model; // 如果前端传了模型，优先使用
-    if (!modelToUse) {
-      // 根据API源和用户等级从配置中获取对应模型
-      if (apiProvider === 'iflow') {
-        // iFlow 模型
-        switch (actualUserLevel) {
-          case 'king':
-            modelToUse = config.iflowKingModel || 'kimi-k2-0905';
-            break;
-          case 'pro':
-            modelToUse = config.iflowProModel || 'qwen3-max';
-            break;
-          default:
-            modelToUse = config.iflowNormalModel || 'qwen3-max';
-        }
+// 删除一条记录：返回 true 已删除、false 不存在、null 存储出错
+const removeSummaryHistory = async (userId, id) => {
+  if (USE_REDIS) {
+    const key = getSummaryHistoryKey(userId);
+    const items = await redisCommand('LRANGE', key, 0, -1);
+    if (items === null) return null;
+    const raw = items.find(item => parseSummaryHistoryItems([item])[0]?.id === id);
+    if (!raw) return false;
+    const removed = await redisCommand('LREM', key, 1, raw);
+    return removed === null ? null : removed > 0;
+  }
+  // 降级到本地文件
+  try {
+    if (!fs.existsSync(DATA_DIR)) return null;
+    let found = false;
+    await updateLocalJsonFile(SUMMARY_HISTORY_FILE, (all) => {
+      const entries = all[userId] || [];
+      const remaining = entries.filter(item => item.id !== id);
+      found = remaining.length < entries.length;
+      if (remaining.length > 0) {
+        all[userId] = remaining;
       } else {
-        // Gemini 模型（默认）
-        switch (actualUserLevel) {
-          case 'king':
-            modelToUse = config.geminiKingModel || 'gemini-3-flash-preview';
-            break;
-          case 'pro':
-            modelToUse = config.geminiProModel || 'gemini-2.5-flash';
-            break;
-          default:
-            modelToUse = config.geminiNormalModel || 'gemini-2.0-flash';
-        }
+        delete all[userId];
       }
+      return all;
+    });
+    return found;
+  } catch (err) {
+    console.error("[Storage] Failed to delete summary history:", err.message);
+  }
+  return null;
+};
+
+// 按用户等级获取历史保留规则
+const getSummaryHistoryRetention = (config, userLevel) => {
+  switch (userLevel) {
+    case 'king':
+      return { limit: config.historyLimitKing, days: config.historyDaysKing };
+    case 'pro':
+      return { limit: config.historyLimitPro, days: config.historyDaysPro };
+    default:
+      return { limit: config.historyLimitNormal, days: config.historyDaysNormal };
+  }
+};
+
+// 去掉超出保留天数和条数的记录
+const applySummaryHistoryRetention = (entries, { limit, days }) => {
+  const cutoff = days > 0 ? Date.now() - days * DAY_MS : 0;
+  return entries.filter(entry => entry.createdAt >= cutoff).slice(0, Math.max(0, limit));
+};
+
+// 用户当前可见的历史记录（写入时已裁剪，读取时再按当前等级过滤过期记录）和保留规则
+const getVisibleSummaryHistory = async (userId) => {
+  const { historyRetention: retention } = await resolveUserTier(userId);
+  return {
+    entries: applySummaryHistoryRetention(await getSummaryHistory(userId), retention),
+    retention
+  };
+};
+
+// 图片只保存哈希和大小，用于识别同一份报告
+const getSummaryImageHashes = (pages) => pages.map(page => {
+  const buffer = Buffer.from(page.data, 'base64');
+  return {
+    sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+    mimeType: page.mimeType,
+    bytes: buffer.length
+  };
+});
+
+// 保存一条小结，返回记录 id；不保存或保存失败时返回 null（不影响小结本身）
+const addSummaryHistory = async (plan, summary) => {
+  try {
+    const config = await getSummaryConfig();
+    const retention = getSummaryHistoryRetention(config, plan.userLevel);
+    if (!(retention.limit > 0)) return null;
+
+    const entry = {
+      id: crypto.randomUUID(),
+      createdAt: Date.now(),
+      type: plan.type,
+      promptSlot: plan.promptSlot,
+      model: plan.model,
+      modelName: plan.modelName,
+      apiProvider: plan.call.apiProvider,
+      input: plan.historyInput,
+      summary
+    };
+    return await pushSummaryHistory(plan.userId, entry, retention) ? entry.id : null;
+  } catch (err) {
+    console.error(`[Summary] Failed to save history for ${plan.userId}:`, err.message);
+    return null;
+  }
+};
+
+// 列表中的摘要信息（不含完整输入和小结）
+const toSummaryHistoryListItem = (entry) => ({
+  id: entry.id,
+  createdAt: entry.createdAt,
+  type: entry.type,
+  promptSlot: entry.promptSlot,
+  model: entry.model,
+  modelName: entry.modelName,
+  ...(entry.type === 'image' && { imagesCount: entry.input.images.length }),
+  ...(entry.type === 'text' && { examDate: entry.input.examData.date, itemsCount: entry.input.examData.items.length }),
+  ...(entry.type === 'trend' && {
+    examsCount: entry.input.trend.examsCount,
+    from: entry.input.trend.from,
+    to: entry.input.trend.to,
+    itemsCount: entry.input.trend.items.length
+  }),
+  preview: entry.summary.slice(0, SUMMARY_HISTORY_PREVIEW_CHARS)
+});
+
+// ========== 智能小结请求处理 ==========
+// 普通接口与流式接口共用：参数校验、预扣额度、选择服务商和模型，成功后确认扣减并记录使用
+
+// 确定使用的提示词：优先使用 promptSlot 预设，其次使用传入的 systemPrompt
+// 返回 { prompt, promptSlot }，使用传入的提示词时 promptSlot 为 null
+const resolveSummaryPrompt = async (systemPrompt, promptSlot) => {
+  if (promptSlot && ['slot1', 'slot2', 'slot3', 'slot4'].includes(promptSlot)) {
+    const prompts = await getSummaryPrompts();
+    const slotData = prompts[promptSlot];
+    if (slotData && slotData.prompt && slotData.prompt.trim()) {
+      console.log(`[Summary] Using prompt slot: ${promptSlot} (${slotData.name})`);
+      return { prompt: slotData.prompt, promptSlot };
     }
-    
-    // 验证模型是否在支持列表中
-    if (!SUMMARY_MODEL_OPTIONS[modelToUse]) {
-      modelToUse = apiProvider === 'iflow' ? IFLOW_DEFAULT_MODEL : DEFAULT_SUMMARY_MODEL;
-    }
-    
-    console.log(`[Summary] User ${nickname || userId} (${actualUserLevel}) using ${apiProvider}/${modelToUse}`);
+  }
+  return { prompt: systemPrompt, promptSlot: null };
+};
 
-    // 构建消息内容
-    const userContent = `检查日期: ${examData.date || '未知'}\n\n检查项目:\n${
-      examData.items.map(item => 
-        `- ${item.name}: ${item.value} ${item.unit || ''} (参考范围: ${item.range || '未提供'})`
-      ).join('\n')
-    }`;
+const summaryQuotaExceeded = (quota) => ({
+  status: 403,
+  body: {
+    success: false,
+    error: "QUOTA_EXCEEDED",
+    message: "本周智能小结次数已用完",
+    quota
+  }
+});
 
-    const messages = [
-      { role: "system", content: finalPrompt },
-      { role: "user", content: userContent }
-    ];
+// 校验文本小结请求并预扣额度，返回 { error: { status, body } } 或调用计划
+// 预扣的额度同时写入 holder.reservation，后续失败时由调用方退还
+const prepareTextSummary = async (req, holder) => {
+  const { userId, nickname, examData, systemPrompt, promptSlot } = req.body || {};
 
-    // 调用 AI API（根据配置的API源调用）
-    const result = await callSummaryAI(modelToUse, messages, 2000, apiProvider);
+  // 参数验证
+  if (!userId) {
+    return { error: { status: 400, body: { success: false, error: "userId is required" } } };
+  }
+  if (!examData || !examData.items || examData.items.length === 0) {
+    return { error: { status: 400, body: { success: false, error: "examData with items is required" } } };
+  }
 
-    // 记录统计
-    await incrementSummaryStats('text');
+  const { prompt: finalPrompt, promptSlot: usedSlot } = await resolveSummaryPrompt(systemPrompt, promptSlot);
+  if (!finalPrompt) {
+    return { error: { status: 400, body: { success: false, error: "systemPrompt or valid promptSlot is required" } } };
+  }
+
+  // 预扣配额
+  const tier = await resolveUserTier(userId);
+  const reservation = await reserveSummaryQuota(userId, nickname, tier.userLevel);
+  holder.reservation = reservation;
+  const quotaResult = reservation.quota;
+  if (!quotaResult.allowed) {
+    return { error: summaryQuotaExceeded(quotaResult) };
+  }
+
+  // 用户等级对应的API源和模型
+  const actualUserLevel = tier.userLevel;
+  const { apiProvider, model: modelToUse, modelName } = tier.text;
 
-    // 记录使用日志
-    await logUserUsage(req, "summary-text", {
+  console.log(`[Summary] User ${nickname || userId} (${actualUserLevel}) using ${apiProvider}/${modelToUse}`);
+
+  return {
+    type: 'text',
+    reservation,
+    userId,
+    userLevel: actualUserLevel,
+    userLabel: nickname || userId,
+    promptSlot: usedSlot,
+    description: 'Text summary',
+    model: modelToUse,
+    modelName,
+    // 构建消息内容（异常项目会被标注并单独列出）
+    call: {
+      model: modelToUse,
+      systemPrompt: finalPrompt,
+      turns: [{ role: 'user', text: buildExamDataContent(examData) }],
+      maxTokens: 2000,
+      apiProvider
+    },
+    logAction: "summary-text",
+    logFields: {
       itemsCount: examData.items.length,
       model: modelToUse,
       apiProvider: apiProvider,
       userLevel: actualUserLevel
-    });
+    },
+    response: { modelName },
+    quotaFields: { userLevel: actualUserLevel },
+    historyInput: {
+      examData: {
+        date: examData.date || null,
+        items: examData.items.map(({ name, value, unit, range }) => ({ name, value, unit, range }))
+      }
+    }
+  };
+};
 
-    console.log(`[Summary] Text summary completed for user ${nickname || userId}`);
+// 校验图片小结请求并预扣额度，返回值同 prepareTextSummary
+const prepareImageSummary = async (req, holder) => {
+  const { userId, nickname, images, systemPrompt, promptSlot } = req.body || {};
 
-    return res.json({
-      success: true,
-      summary: result.content,
+  // 参数验证
+  if (!userId) {
+    return { error: { status: 400, body: { success: false, error: "userId is required" } } };
+  }
+  if (!images || !Array.isArray(images) || images.length === 0) {
+    return { error: { status: 400, body: { success: false, error: "images array is required" } } };
+  }
+
+  const { prompt: finalPrompt, promptSlot: usedSlot } = await resolveSummaryPrompt(systemPrompt, promptSlot);
+  if (!finalPrompt) {
+    return { error: { status: 400, body: { success: false, error: "systemPrompt or valid promptSlot is required" } } };
+  }
+
+  // 按用户实际等级检查图片数量限制
+  const tier = await resolveUserTier(userId);
+  const { maxImages } = tier;
+
+  if (images.length > maxImages) {
+    return {
+      error: {
+        status: 400,
+        body: {
+          success: false,
+          error: "IMAGE_LIMIT_EXCEEDED",
+          message: `您最多可以上传 ${maxImages} 张图片`,
+          maxImages
+        }
+      }
+    };
+  }
+
+  // 预扣配额
+  const reservation = await reserveSummaryQuota(userId, nickname, tier.userLevel);
+  holder.reservation = reservation;
+  if (!reservation.quota.allowed) {
+    return { error: summaryQuotaExceeded(reservation.quota) };
+  }
+
+  // 图片统一转为 { data, mimeType }，由各服务商的适配器转换为自身格式
+  const pages = images.map(img => ({
+    // 移除可能的 data URL 前缀
+    data: img.base64.includes(",") ? img.base64.split(",")[1] : img.base64,
+    mimeType: img.mimeType || 'image/jpeg'
+  }));
+
+  // 后台选择了支持图片输入的自定义端点或 Mock 时使用该服务商，否则沿用 Gemini（优先七牛云，备选直连）
+  const { apiProvider, model: modelToUse, modelName } = tier.image;
+  console.log(`[Summary] User ${nickname || userId} (${tier.userLevel}) ${images.length} images using ${apiProvider}/${modelToUse}`);
+
+  return {
+    type: 'image',
+    reservation,
+    userId,
+    userLevel: tier.userLevel,
+    userLabel: nickname || userId,
+    promptSlot: usedSlot,
+    description: `Image summary (${images.length} images)`,
+    model: modelToUse,
+    modelName,
+    call: {
+      model: modelToUse,
+      systemPrompt: finalPrompt,
+      turns: [{ role: 'user', images: pages, text: "请根据上传的检查报告图片进行分析总结。" }],
+      maxTokens: 3000,
+      apiProvider
+    },
+    logAction: "summary-images",
+    logFields: {
+      imagesCount: images.length,
       model: modelToUse,
-      modelName: SUMMARY_MODEL_OPTIONS[modelToUse]?.name || modelToUse,
-      usage: result.usage,
-      quota: {
-        remaining: quotaResult.remaining,
-        weeklyLimit: quotaResult.weeklyLimit,
-        weeklyUsage: quotaResult.weeklyUsage,
-        userLevel: actualUserLevel
+      apiProvider,
+      userLevel: tier.userLevel
+    },
+    response: { modelName, imagesProcessed: images.length },
+    quotaFields: { userLevel: tier.userLevel },
+    historyInput: { images: getSummaryImageHashes(pages) }
+  };
+};
+
+// ========== 趋势小结 ==========
+// 多次检查的纵向对比：服务端按检验项汇总各次结果，计算首末变化和斜率，整理成紧凑的趋势表交给模型解读
+// 检查数据来自请求中的 exams 数组，或 source: 'history' 时取该用户文本小结历史中保存的检验数据
+// 额度单独计数（trend*WeeklyLimit），与文本、图片小结互不占用
+const TREND_MIN_EXAMS = 2;
+const TREND_MAX_EXAMS = 24;          // 时间范围内最多取最近 24 次检查
+const TREND_DEFAULT_MONTHS = 6;
+const TREND_MAX_MONTHS = 36;
+const TREND_MAX_ITEMS = 40;          // 趋势表最多行数
+const TREND_STABLE_PERCENT = 5;      // 首末变化小于 5% 视为稳定
+
+// 肾病随访最关心的项目，排在趋势表最前
+const TREND_FOCUS_ITEMS = ['scr', 'egfr', 'k', 'upro', 'utp24h', 'uacr', 'upcr', 'bun', 'urea', 'hgb', 'alb'];
+
+// 尿蛋白等定性结果的等级，用于判断加重或好转
+const QUALITATIVE_LEVELS = {
+  '-': 0, '阴性': 0, 'neg': 0, '±': 0.5, '+-': 0.5,
+  '+': 1, '1+': 1, '2+': 2, '++': 2, '3+': 3, '+++': 3, '4+': 4, '++++': 4
+};
+
+const TREND_DIRECTION_LABELS = { up: '上升', down: '下降', stable: '稳定' };
+const TREND_FLAG_MARKS = { high: '↑', low: '↓', positive: '(阳性)' };
+
+const DEFAULT_TREND_PROMPT = `你是肾内科随访助手。用户会提供多次检查的趋势表：每行一个检验项目，按时间列出各次结果（↑↓ 表示超出参考范围），以及首末变化、每 30 天的线性变化斜率和走势。
+请用通俗的中文：
+1. 先总结肾功能（血肌酐、eGFR）、血钾和尿蛋白的整体走势；
+2. 指出持续恶化、波动较大或由正常转为异常的项目；
+3. 说明保持稳定或好转的项目；
+4. 给出复查频率和生活方面的建议，并提醒以医生意见为准。
+不要逐项复述原始数据，也不要做出诊断。`;
+
+// 检查日期：毫秒时间戳或日期字符串，无效时返回 null
+const parseTrendExamDate = (value) => {
+  const time = typeof value === 'number' ? value : Date.parse(String(value ?? ''));
+  return Number.isFinite(time) ? time : null;
+};
+
+// 按北京时间格式化日期（与表格导入的默认时区一致）
+const formatTrendDate = (time) => new Date(time - DEFAULT_TZ_OFFSET_MINUTES * 60 * 1000).toISOString().slice(0, 10);
+
+const getQualitativeLevel = (value) => {
+  const key = String(value ?? '').normalize('NFKC').replace(/[\s()（）]/g, '').toLowerCase();
+  return key in QUALITATIVE_LEVELS ? QUALITATIVE_LEVELS[key] : null;
+};
+
+// 最小二乘线性回归，返回每 30 天的变化量
+const getTrendSlope = (points) => {
+  const xs = points.map(point => (point.time - points[0].time) / DAY_MS);
+  const ys = points.map(point => point.value);
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+  const denominator = xs.reduce((sum, x) => sum + (x - meanX) ** 2, 0);
+  if (denominator === 0) return null;
+  const slope = xs.reduce((sum, x, i) => sum + (x - meanX) * (ys[i] - meanY), 0) / denominator;
+  return roundLabValue(slope * 30);
+};
+
+// 把各次检查整理为按检验项的时间序列，计算变化量和斜率
+// exams: [{ time, items: [{ name, value, unit, range }] }]，按时间升序
+// 已识别的项目换算到首选单位后再比较；同一项目单位不一致且无法换算的结果跳过
+const buildTrendSeries = (exams, dictionary) => {
+  const aliasIndex = buildLabAliasIndex(dictionary);
+  const series = new Map();
+
+  for (const exam of exams) {
+    for (const item of exam.items) {
+      if (!item || typeof item.name !== 'string' || !item.name.trim()) continue;
+      const id = lookupLabItemId(item.name, aliasIndex);
+      const key = id || `name:${normalizeLabName(item.name)}`;
+      const { flag } = flagLabItem(item);
+
+      let numeric = parseLabNumber(item.value);
+      let unit = normalizeUnit(item.unit);
+      const preferredUnit = id && getPreferredUnit(id, dictionary);
+      if (preferredUnit && numeric !== null) {
+        const converted = convertLabValue(id, numeric, item.unit, preferredUnit);
+        if (converted !== null) {
+          numeric = converted;
+          unit = preferredUnit;
+        }
       }
-    });
+      const level = numeric === null ? getQualitativeLevel(item.value) : null;
+      if (numeric === null && level === null) continue;
 
-  } catch (err) {
-    console.error("Summary text error:", err);
-    const message = err instanceof Error ? err.message : String(err);
-    
-    // API 未配置
-    if (message.includes("No AI API configured")) {
-      return res.status(503).json({
-        success: false,
-        error: "API_NOT_CONFIGURED",
-        message: "智能小结服务暂未配置，请联系管理员"
-      });
-    }
-    
-    // 频率限制（必须明确包含429状态码或rate limit关键词）
-    if (message.includes("429") || message.toLowerCase().includes("rate limit")) {
-      return res.status(429).json({
-        success: false,
-        error: "RATE_LIMIT",
-        message: "请求过于频繁，请稍后再试"
+      if (!series.has(key)) {
+        series.set(key, { id: id || '', name: id ? dictionary[id].name : item.name.trim(), points: [] });
+      }
+      const entry = series.get(key);
+      // 同一天的重复结果只保留最后一个
+      entry.points = entry.points.filter(point => point.time !== exam.time);
+      entry.points.push({
+        time: exam.time,
+        value: numeric ?? level,
+        display: numeric === null ? String(item.value).trim() : String(numeric),
+        qualitative: numeric === null,
+        unit: numeric === null ? '' : unit,
+        range: item.range || '',
+        flag
       });
     }
-    
-    return res.status(500).json({
-      success: false,
-      error: "SUMMARY_FAILED",
-      message: message || "AI分析失败，请重试"
+  }
+
+  const trends = [];
+  for (const entry of series.values()) {
+    // 以最近一次的单位和类型为准
+    const latest = entry.points[entry.points.length - 1];
+    const points = entry.points.filter(point => point.qualitative === latest.qualitative && point.unit === latest.unit);
+    if (points.length < TREND_MIN_EXAMS) continue;
+
+    const first = points[0];
+    const delta = roundLabValue(latest.value - first.value);
+    const deltaPercent = !latest.qualitative && first.value !== 0
+      ? Number(((delta / Math.abs(first.value)) * 100).toFixed(1))
+      : null;
+    const stable = deltaPercent !== null ? Math.abs(deltaPercent) < TREND_STABLE_PERCENT : delta === 0;
+
+    trends.push({
+      id: entry.id,
+      name: entry.name,
+      unit: latest.unit,
+      qualitative: latest.qualitative,
+      range: latest.range,
+      points: points.map(point => ({ date: formatTrendDate(point.time), value: point.display, flag: point.flag })),
+      delta: latest.qualitative ? null : delta,
+      deltaPercent,
+      slopePer30Days: latest.qualitative ? null : getTrendSlope(points),
+      direction: stable ? 'stable' : delta > 0 ? 'up' : 'down',
+      latestFlag: latest.flag,
+      abnormal: latest.flag === 'high' || latest.flag === 'low' || latest.flag === 'positive'
     });
   }
-});
 
-// ===========================================
-// API 端点：智能小结 - 图片输入模式（支持多图）
-// ===========================================
-app.post("/api/summary/images", async (req, res) => {
-  try {
-    const { userId, nickname, userLevel, model, images, systemPrompt, promptSlot } = req.body || {};
+  // 重点项目在前，其次是最近一次异常的项目，再按变化幅度排序
+  const focusRank = (trend) => {
+    const index = TREND_FOCUS_ITEMS.indexOf(trend.id);
+    return index === -1 ? TREND_FOCUS_ITEMS.length : index;
+  };
+  trends.sort((a, b) =>
+    focusRank(a) - focusRank(b) ||
+    Number(b.abnormal) - Number(a.abnormal) ||
+    Math.abs(b.deltaPercent ?? 0) - Math.abs(a.deltaPercent ?? 0)
+  );
+  return trends.slice(0, TREND_MAX_ITEMS);
+};
+
+const formatSigned = (value) => (value > 0 ? `+${value}` : String(value));
+
+// 趋势表：每个项目一行，列出各次结果、首末变化、斜率和走势
+const buildTrendContent = (trend) => {
+  const lines = trend.items.map(item => {
+    const values = item.points.map(point => `${point.date} ${point.value}${TREND_FLAG_MARKS[point.flag] || ''}`).join(' → ');
+    const parts = [`- ${item.name}${item.unit ? ` (${item.unit})` : ''}: ${values}`];
+    if (!item.qualitative) {
+      parts.push(`变化 ${formatSigned(item.delta)}${item.deltaPercent !== null ? ` (${formatSigned(item.deltaPercent)}%)` : ''}`);
+      if (item.slopePer30Days !== null) parts.push(`斜率 ${formatSigned(item.slopePer30Days)}/30天`);
+    }
+    parts.push(item.qualitative && item.direction !== 'stable' ? (item.direction === 'up' ? '加重' : '减轻') : TREND_DIRECTION_LABELS[item.direction]);
+    if (item.range) parts.push(`参考 ${item.range}`);
+    return parts.join(' | ');
+  });
+
+  return `检查次数: ${trend.examsCount}（${trend.from} 至 ${trend.to}）
+趋势表（各次结果按时间排列；变化为最近一次与第一次之差；斜率为每 30 天的线性变化）:
+${lines.join('\n')}`;
+};
+
+// 整理请求或历史中的检查：去掉无效日期和空检查，同一天只保留一次，按时间窗口截取
+// 返回 { exams, examsCount, from, to }
+const collectTrendExams = (rawExams, months) => {
+  const byDate = new Map();
+  for (const exam of rawExams) {
+    const time = parseTrendExamDate(exam?.date);
+    if (time === null || !Array.isArray(exam.items) || exam.items.length === 0) continue;
+    const date = formatTrendDate(time);
+    if (!byDate.has(date)) byDate.set(date, { time, items: exam.items });
+  }
+
+  const sorted = [...byDate.values()].sort((a, b) => a.time - b.time);
+  if (sorted.length === 0) return { exams: [], examsCount: 0 };
+
+  const cutoff = new Date(sorted[sorted.length - 1].time);
+  cutoff.setMonth(cutoff.getMonth() - months);
+  const exams = sorted.filter(exam => exam.time >= cutoff.getTime()).slice(-TREND_MAX_EXAMS);
+  return {
+    exams,
+    examsCount: exams.length,
+    from: formatTrendDate(exams[0].time),
+    to: formatTrendDate(exams[exams.length - 1].time)
+  };
+};
+
+// 校验趋势小结请求并预扣趋势额度，返回值同 prepareTextSummary
+const prepareTrendSummary = async (req, holder) => {
+  const { userId, nickname, exams, source, months = TREND_DEFAULT_MONTHS, systemPrompt, promptSlot } = req.body || {};
+
+  // 参数验证
+  if (!userId) {
+    return { error: { status: 400, body: { success: false, error: "userId is required" } } };
+  }
+  if (!Array.isArray(exams) && source !== 'history') {
+    return { error: { status: 400, body: { success: false, error: "exams array or source: 'history' is required" } } };
+  }
+  if (!Number.isInteger(months) || months < 1 || months > TREND_MAX_MONTHS) {
+    return { error: { status: 400, body: { success: false, error: "INVALID_MONTHS", message: `months 需为 1-${TREND_MAX_MONTHS} 的整数` } } };
+  }
+
+  // 未指定提示词时使用内置的趋势提示词
+  const resolved = await resolveSummaryPrompt(systemPrompt, promptSlot);
+  const finalPrompt = resolved.prompt || DEFAULT_TREND_PROMPT;
+
+  // 历史中只有文本小结保存了检验数据（新的在前，同一天取最新一次）
+  const rawExams = Array.isArray(exams)
+    ? exams
+    : (await getVisibleSummaryHistory(userId)).entries
+      .filter(entry => entry.type === 'text')
+      .map(entry => entry.input.examData);
+  const collected = collectTrendExams(rawExams, months);
+  if (collected.examsCount < TREND_MIN_EXAMS) {
+    return {
+      error: {
+        status: 400,
+        body: {
+          success: false,
+          error: "NOT_ENOUGH_EXAMS",
+          message: `${months} 个月内至少需要 ${TREND_MIN_EXAMS} 次不同日期的检查`,
+          examsCount: collected.examsCount
+        }
+      }
+    };
+  }
+
+  const { merged: dictionary } = await getLabDictionary();
+  const items = buildTrendSeries(collected.exams, dictionary);
+  if (items.length === 0) {
+    return { error: { status: 400, body: { success: false, error: "NO_TREND_ITEMS", message: "没有在两次及以上检查中都出现的项目" } } };
+  }
+  const trend = { examsCount: collected.examsCount, from: collected.from, to: collected.to, items };
+
+  // 预扣趋势额度
+  const tier = await resolveUserTier(userId);
+  const reservation = await reserveSummaryQuota(userId, nickname, tier.userLevel, 'trend');
+  holder.reservation = reservation;
+  if (!reservation.quota.allowed) {
+    return { error: { status: 403, body: { ...summaryQuotaExceeded(reservation.quota).body, message: "本周趋势小结次数已用完" } } };
+  }
+
+  const actualUserLevel = tier.userLevel;
+  const { apiProvider, model: modelToUse, modelName } = tier.text;
+  console.log(`[Summary] User ${nickname || userId} (${actualUserLevel}) trend of ${trend.examsCount} exams / ${items.length} items using ${apiProvider}/${modelToUse}`);
+
+  return {
+    type: 'trend',
+    reservation,
+    userId,
+    userLevel: actualUserLevel,
+    userLabel: nickname || userId,
+    promptSlot: resolved.promptSlot,
+    description: `Trend summary (${trend.examsCount} exams)`,
+    model: modelToUse,
+    modelName,
+    call: {
+      model: modelToUse,
+      systemPrompt: finalPrompt,
+      turns: [{ role: 'user', text: buildTrendContent(trend) }],
+      maxTokens: 2500,
+      apiProvider
+    },
+    logAction: "summary-trend",
+    logFields: {
+      source: Array.isArray(exams) ? 'request' : 'history',
+      examsCount: trend.examsCount,
+      itemsCount: items.length,
+      model: modelToUse,
+      apiProvider,
+      userLevel: actualUserLevel
+    },
+    response: { modelName, trend },
+    quotaFields: { userLevel: actualUserLevel },
+    historyInput: { trend }
+  };
+};
+
+// 小结有效时确认扣减、记录统计和使用日志并存入历史，返回响应内容；内容为空时抛出错误（额度由调用方退还）
+const completeSummary = async (req, plan, result, logExtra = {}) => {
+  if (!result.content || !result.content.trim()) {
+    throw new Error("AI 返回的小结内容为空");
+  }
+
+  // 小结有效，确认扣减
+  const finalQuota = commitQuota(plan.reservation);
 
-    // 参数验证
-    if (!userId) {
-      return res.status(400).json({ success: false, error: "userId is required" });
-    }
-    if (!images || !Array.isArray(images) || images.length === 0) {
-      return res.status(400).json({ success: false, error: "images array is required" });
-    }
+  // 记录统计
+  await incrementSummaryStats(plan.type);
 
-    // 确定使用的提示词：优先使用 promptSlot 预设，其次使用传入的 systemPrompt
-    let finalPrompt = systemPrompt;
-    if (promptSlot && ['slot1', 'slot2', 'slot3', 'slot4'].includes(promptSlot)) {
-      const prompts = await getSummaryPrompts();
-      const slotData = prompts[promptSlot];
-      if (slotData && slotData.prompt && slotData.prompt.trim()) {
-        finalPrompt = slotData.prompt;
-        console.log(`[Summary] Using prompt slot: ${promptSlot} (${slotData.name})`);
-      }
-    }
+  // 记录使用日志
+  await logUserUsage(req, plan.logAction, { ...plan.logFields, ...logExtra });
 
-    if (!finalPrompt) {
-      return res.status(400).json({ success: false, error: "systemPrompt or valid promptSlot is required" });
-    }
+  console.log(`[Summary] ${plan.description} completed for user ${plan.userLabel}`);
 
-    // 获取配置，检查图片数量限制
-    const config = await getSummaryConfig();
-    let maxImages;
-    switch (userLevel) {
-      case 'king':
-        maxImages = config.maxImagesKing;
-        break;
-      case 'pro':
-        maxImages = config.maxImagesPro;
-        break;
-      default:
-        maxImages = config.maxImagesNormal;
+  const historyId = await addSummaryHistory(plan, result.content);
+
+  return {
+    success: true,
+    summary: result.content,
+    model: plan.model,
+    historyId,
+    ...plan.response,
+    usage: result.usage,
+    quota: {
+      remaining: finalQuota.remaining,
+      weeklyLimit: finalQuota.weeklyLimit,
+      weeklyUsage: finalQuota.weeklyUsage,
+      ...plan.quotaFields
     }
+  };
+};
 
-    if (images.length > maxImages) {
-      return res.status(400).json({
+// 小结失败时的响应（quota 为退还后的额度）
+const getSummaryErrorResponse = (message, quota) => {
+  // API 未配置
+  if (message.includes("No AI API configured")) {
+    return {
+      status: 503,
+      body: {
         success: false,
-        error: "IMAGE_LIMIT_EXCEEDED",
-        message: `您最多可以上传 ${maxImages} 张图片`,
-        maxImages
-      });
-    }
+        error: "API_NOT_CONFIGURED",
+        message: "智能小结服务暂未配置，请联系管理员",
+        quota
+      }
+    };
+  }
 
-    // 检查配额
-    const quotaResult = await checkAndConsumeSummaryQuota(userId, nickname, userLevel || 'normal');
-    if (!quotaResult.allowed) {
-      return res.status(403).json({
+  // 频率限制（必须明确包含429状态码或rate limit关键词）
+  if (message.includes("429") || message.toLowerCase().includes("rate limit")) {
+    return {
+      status: 429,
+      body: {
         success: false,
-        error: "QUOTA_EXCEEDED",
-        message: "本周智能小结次数已用完",
-        quota: quotaResult
-      });
+        error: "RATE_LIMIT",
+        message: "请求过于频繁，请稍后再试",
+        quota
+      }
+    };
+  }
+
+  return {
+    status: 500,
+    body: {
+      success: false,
+      error: "SUMMARY_FAILED",
+      message: message || "AI分析失败，请重试",
+      quota
     }
+  };
+};
 
-    // 构建多模态消息内容（七牛云支持 OpenAI 格式的多模态输入）
-    const contentParts = [];
-    
-    // 添加图片
-    images.forEach((img, index) => {
-      let base64Data = img.base64;
-      // 移除可能的 data URL 前缀
-      if (base64Data.includes(",")) {
-        base64Data = base64Data.split(",")[1];
-      }
-      
-      contentParts.push({
-        type: "image_url",
-        image_url: {
-          url: `data:${img.mimeType || 'image/jpeg'};base64,${base64Data}`
-        }
-      });
-    });
-    
-    // 添加文本提示
-    contentParts.push({
-      type: "text",
-      text: "请根据上传的检查报告图片进行分析总结。"
-    });
+// 普通（非流式）小结接口：等待完整结果后一次返回
+const handleSummary = (prepare) => async (req, res) => {
+  // 预扣的额度：返回有效小结时确认，否则退还
+  const holder = { reservation: null };
 
-    const messages = [
-      { role: "system", content: finalPrompt },
-      { role: "user", content: contentParts }
-    ];
+  try {
+    const plan = await prepare(req, holder);
+    if (plan.error) {
+      return res.status(plan.error.status).json(plan.error.body);
+    }
 
-    // 调用 AI API（优先七牛云，备选 Gemini）
-    const result = await callSummaryAI(model || DEFAULT_SUMMARY_MODEL, messages, 3000);
+    // 调用 AI API（根据配置的API源调用）
+    const result = await callSummaryAI({ req, ...plan.call });
+    return res.json(await completeSummary(req, plan, result));
+  } catch (err) {
+    console.error("Summary error:", err);
+    const message = err instanceof Error ? err.message : String(err);
+    const { status, body } = getSummaryErrorResponse(message, await refundQuota(holder.reservation));
+    return res.status(status).json(body);
+  }
+};
 
-    // 记录统计
-    await incrementSummaryStats('image');
+// ========== 智能小结流式输出（SSE） ==========
+// 事件依次为 start（模型）→ delta（增量文本，多次）→ done（内容同非流式接口的响应）；失败时以 error 事件结束
+// 参数错误和额度不足在开始推送前以普通 JSON 返回，状态码同非流式接口
+// 完整推送后才确认扣减额度；客户端中途断开时中止上游请求、退还额度，使用记录标记 aborted
+
+const openSseStream = (res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    // 关闭反向代理（如 Nginx）的响应缓冲，保证增量及时送达
+    'X-Accel-Buffering': 'no'
+  });
 
-    // 记录使用日志
-    await logUserUsage(req, "summary-images", {
-      imagesCount: images.length,
-      model: model || DEFAULT_SUMMARY_MODEL
-    });
+  const controller = new AbortController();
+  const stream = {
+    signal: controller.signal,
+    aborted: false,
+    send: (event, data) => {
+      if (!stream.aborted) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+  // 连接在 res.end() 之前关闭即为客户端断开
+  res.on('close', () => {
+    if (res.writableEnded) return;
+    stream.aborted = true;
+    controller.abort();
+  });
+  return stream;
+};
 
-    console.log(`[Summary] Image summary completed for user ${nickname || userId}, ${images.length} images`);
+const handleSummaryStream = (prepare) => async (req, res) => {
+  const holder = { reservation: null };
+  let plan = null;
+  let stream = null;
+  let deliveredChars = 0;
 
-    return res.json({
-      success: true,
-      summary: result.content,
-      model: model || DEFAULT_SUMMARY_MODEL,
-      imagesProcessed: images.length,
-      usage: result.usage,
-      quota: {
-        remaining: quotaResult.remaining,
-        weeklyLimit: quotaResult.weeklyLimit,
-        weeklyUsage: quotaResult.weeklyUsage
+  try {
+    plan = await prepare(req, holder);
+    if (plan.error) {
+      return res.status(plan.error.status).json(plan.error.body);
+    }
+
+    stream = openSseStream(res);
+    stream.send('start', { model: plan.model, modelName: plan.modelName });
+
+    const result = await streamSummaryAI({
+      req,
+      ...plan.call,
+      signal: stream.signal,
+      onDelta: (text) => {
+        deliveredChars += text.length;
+        stream.send('delta', { text });
       }
     });
+    // 上游已完成但客户端已断开，按中止处理
+    if (stream.aborted) {
+      throw new Error("Client disconnected");
+    }
 
+    const body = await completeSummary(req, plan, result, { stream: true, aborted: false });
+    stream.send('done', body);
+    res.end();
   } catch (err) {
-    console.error("Summary images error:", err);
     const message = err instanceof Error ? err.message : String(err);
-    
-    // API 未配置
-    if (message.includes("No AI API configured")) {
-      return res.status(503).json({
-        success: false,
-        error: "API_NOT_CONFIGURED",
-        message: "智能小结服务暂未配置，请联系管理员"
-      });
+    const quota = await refundQuota(holder.reservation);
+
+    if (stream?.aborted) {
+      console.warn(`[Summary] ${plan.description} stream aborted by user ${plan.userLabel} after ${deliveredChars} chars`);
+      await logUserUsage(req, plan.logAction, { ...plan.logFields, stream: true, aborted: true, deliveredChars });
+      return;
     }
-    
-    // 频率限制
-    if (message.includes("429") || message.toLowerCase().includes("rate limit")) {
-      return res.status(429).json({
-        success: false,
-        error: "RATE_LIMIT",
-        message: "请求过于频繁，请稍后再试"
-      });
+
+    console.error("Summary stream error:", err);
+    const { status, body } = getSummaryErrorResponse(message, quota);
+    if (!stream) {
+      return res.status(status).json(body);
     }
-    
-    return res.status(500).json({
-      success: false,
-      error: "SUMMARY_FAILED",
-      message: message || "AI分析失败，请重试"
-    });
+    stream.send('error', { ...body, status });
+    res.end();
   }
-});
+};
+
+// ===========================================
+// API 端点：智能小结 - 文本输入模式
+// ===========================================
+app.post("/api/summary/text", handleSummary(prepareTextSummary));
+
+// 流式版本：参数同上，以 SSE 推送增量文本
+app.post("/api/summary/text/stream", handleSummaryStream(prepareTextSummary));
+
+// ===========================================
+// API 端点：智能小结 - 图片输入模式（支持多图）
+// ===========================================
+app.post("/api/summary/images", handleSummary(prepareImageSummary));
+
+// 流式版本：参数同上，以 SSE 推送增量文本
+app.post("/api/summary/images/stream", handleSummaryStream(prepareImageSummary));
+
+// ===========================================
+// API 端点：智能小结 - 多次检查趋势模式
+// ===========================================
+app.post("/api/summary/trend", handleSummary(prepareTrendSummary));
+
+// 流式版本：参数同上，以 SSE 推送增量文本
+app.post("/api/summary/trend/stream", handleSummaryStream(prepareTrendSummary));
 
 // ===========================================
 // API 端点：获取智能小结配额状态
 // ===========================================
 app.get("/api/summary/quota", async (req, res) => {
-  const { userId, userLevel } = req.query;
+  const { userId } = req.query;
   
-  const config = await getSummaryConfig();
   const users = await getSummaryUsers();
 
-  // 根据用户等级获取限额
-  let weeklyLimit, maxImages;
-  switch (userLevel) {
-    case 'king':
-      weeklyLimit = config.kingWeeklyLimit;
-      maxImages = config.maxImagesKing;
-      break;
-    case 'pro':
-      weeklyLimit = config.proWeeklyLimit;
-      maxImages = config.maxImagesPro;
-      break;
-    default:
-      weeklyLimit = config.normalWeeklyLimit;
-      maxImages = config.maxImagesNormal;
-  }
+  // 根据用户实际等级获取限额（趋势小结单独计数）
+  const { userLevel, weeklyLimit, trendWeeklyLimit: trendLimit, maxImages } = await resolveUserTier(userId);
 
   if (!userId || !users[userId]) {
     return res.json({
       success: true,
       data: {
+        userLevel,
         weeklyUsage: 0,
         weeklyLimit,
         remaining: weeklyLimit,
         maxImages,
-        totalUsage: 0
+        totalUsage: 0,
+        trend: { weeklyUsage: 0, weeklyLimit: trendLimit, remaining: trendLimit }
       }
     });
   }
@@ -2212,19 +5926,76 @@ app.get("/api/summary/quota", async (req, res) => {
   const user = users[userId];
   const thisWeek = getCurrentWeekId();
   const weeklyUsage = (user.currentWeek === thisWeek) ? user.weeklyUsage : 0;
+  const trendUsage = (user.trend?.currentWeek === thisWeek) ? user.trend.weeklyUsage : 0;
 
   res.json({
     success: true,
     data: {
+      userLevel,
       weeklyUsage,
       weeklyLimit,
       remaining: Math.max(0, weeklyLimit - weeklyUsage),
       maxImages,
-      totalUsage: user.totalUsage || 0
+      totalUsage: user.totalUsage || 0,
+      trend: { weeklyUsage: trendUsage, weeklyLimit: trendLimit, remaining: Math.max(0, trendLimit - trendUsage) }
+    }
+  });
+});
+
+// ===========================================
+// API 端点：智能小结历史（按 userId 隔离）
+// ===========================================
+// 列表：按时间倒序，只返回摘要信息；保留规则按用户实际等级确定
+app.get("/api/summary/history", async (req, res) => {
+  const { userId } = req.query;
+  if (!userId) {
+    return res.status(400).json({ success: false, error: "userId is required" });
+  }
+
+  const { entries, retention } = await getVisibleSummaryHistory(userId);
+  res.json({
+    success: true,
+    data: {
+      entries: entries.map(toSummaryHistoryListItem),
+      total: entries.length,
+      retention
     }
   });
 });
 
+// 详情：完整的输入和小结
+app.get("/api/summary/history/:id", async (req, res) => {
+  const { userId } = req.query;
+  if (!userId) {
+    return res.status(400).json({ success: false, error: "userId is required" });
+  }
+
+  const { entries } = await getVisibleSummaryHistory(userId);
+  const entry = entries.find(item => item.id === req.params.id);
+  if (!entry) {
+    return res.status(404).json({ success: false, error: "NOT_FOUND", message: "小结记录不存在或已过期" });
+  }
+  res.json({ success: true, data: entry });
+});
+
+// 用户删除自己的小结记录
+app.delete("/api/summary/history/:id", async (req, res) => {
+  const { userId } = req.query;
+  if (!userId) {
+    return res.status(400).json({ success: false, error: "userId is required" });
+  }
+
+  const removed = await removeSummaryHistory(userId, req.params.id);
+  if (removed === null) {
+    return res.status(500).json({ success: false, error: "DELETE_FAILED", message: "删除失败，请重试" });
+  }
+  if (!removed) {
+    return res.status(404).json({ success: false, error: "NOT_FOUND", message: "小结记录不存在或已过期" });
+  }
+  console.log(`[Summary] User ${userId} deleted history entry ${req.params.id}`);
+  res.json({ success: true, message: "已删除" });
+});
+
 // ===========================================
 // API 端点：获取调用统计
 // ===========================================
@@ -2245,6 +6016,7 @@ app.get("/api/stats", (req, res) => {
       summary: {
         textSummary: summaryApiStats.textSummary,
         imageSummary: summaryApiStats.imageSummary,
+        trendSummary: summaryApiStats.trendSummary,
         totalCalls: summaryApiStats.totalCalls
       },
       uptime: {
@@ -2262,12 +6034,15 @@ app.get("/api/stats", (req, res) => {
 // ===========================================
 app.get("/api/health", (req, res) => {
   const memUsage = process.memoryUsage();
+  const keyHealth = getApiKeyHealth();
   res.json({
     ok: true,
     version: "v4-concurrent-limited",
     port,
     hasEnvKey: ENV_API_KEYS.length > 0,
     keyCount: ENV_API_KEYS.length,
+    // 公开接口只返回数量，各 Key 的详细状态见管理接口 /api/admin/api-keys
+    apiKeys: { total: keyHealth.total, available: keyHealth.available },
     timestamp: Date.now(),
     memory: {
       heapUsed: Math.round(memUsage.heapUsed / 1024 / 1024 * 100) / 100, // MB
@@ -2275,11 +6050,7 @@ app.get("/api/health", (req, res) => {
       rss: Math.round(memUsage.rss / 1024 / 1024 * 100) / 100, // MB
       external: Math.round(memUsage.external / 1024 / 1024 * 100) / 100, // MB
     },
-    concurrency: {
-      maxConcurrent: MAX_CONCURRENT_REQUESTS,
-      activeRequests: activeRequests,
-      queuedRequests: requestQueue.length
-    },
+    concurrency: getQueueHealth(),
     cache: {
       clientsCached: clientCache.size,
       sdkLoaded: GoogleGenAI !== null,
@@ -2362,7 +6133,10 @@ app.put("/api/admin/summary/config", verifyAdminToken, async (req, res) => {
   // 验证配置值
   const validNumericKeys = [
     'normalWeeklyLimit', 'proWeeklyLimit', 'kingWeeklyLimit',
-    'maxImagesNormal', 'maxImagesPro', 'maxImagesKing'
+    'maxImagesNormal', 'maxImagesPro', 'maxImagesKing',
+    'trendNormalWeeklyLimit', 'trendProWeeklyLimit', 'trendKingWeeklyLimit',
+    'historyLimitNormal', 'historyLimitPro', 'historyLimitKing',
+    'historyDaysNormal', 'historyDaysPro', 'historyDaysKing'
   ];
   
   // Gemini 模型配置字段
@@ -2372,8 +6146,12 @@ app.put("/api/admin/summary/config", verifyAdminToken, async (req, res) => {
   
   const sanitizedConfig = {};
   
-  // 处理 API 源选择
-  if (newConfig.apiProvider && ['gemini', 'iflow'].includes(newConfig.apiProvider)) {
+  // 处理 API 源选择（注册表中支持文本生成的服务商）
+  if (newConfig.apiProvider) {
+    const providers = await getAiProviders();
+    if (!providers[newConfig.apiProvider]?.capabilities.text) {
+      return res.status(400).json({ success: false, message: `未知或不支持文本生成的 API 源: ${newConfig.apiProvider}` });
+    }
     sanitizedConfig.apiProvider = newConfig.apiProvider;
   }
   
@@ -2887,6 +6665,11 @@ app.get("/api/admin/quota/users", verifyAdminToken, async (req, res) => {
   });
 });
 
+// [Admin] 获取 Gemini API Key 健康状态（Key 已脱敏，含冷却状态和最近一次错误）
+app.get("/api/admin/api-keys", verifyAdminToken, (req, res) => {
+  res.json({ success: true, data: getApiKeyHealth() });
+});
+
 // [Admin] 获取全局配额配置
 app.get("/api/admin/quota/config", verifyAdminToken, async (req, res) => {
   const config = await getQuotaConfig();
@@ -2897,9 +6680,13 @@ app.get("/api/admin/quota/config", verifyAdminToken, async (req, res) => {
 app.put("/api/admin/quota/config", verifyAdminToken, async (req, res) => {
   const { 
     normalWeeklyLimit, proWeeklyLimit,
-    ocrApiProvider,
+    ocrApiProvider, ocrProviderChain,
     geminiNormalOcrModel, geminiProOcrModel, geminiKingOcrModel,
-    iflowNormalOcrModel, iflowProOcrModel, iflowKingOcrModel
+    iflowNormalOcrModel, iflowProOcrModel, iflowKingOcrModel,
+    egfrFormula,
+    maxPagesNormal, maxPagesPro, maxPagesKing,
+    ocrCacheTtlHours, lowConfidenceThreshold,
+    imagePreprocessEnabled, imageMaxDimension, imageOutputFormat, imageQuality, imageEnhance
   } = req.body;
 
   // 验证参数
@@ -2919,10 +6706,27 @@ app.put("/api/admin/quota/config", verifyAdminToken, async (req, res) => {
     proWeeklyLimit: newProLimit
   };
   
-  // OCR API源选择
-  if (ocrApiProvider && ['gemini', 'iflow'].includes(ocrApiProvider)) {
+  // OCR API源选择（注册表中支持图片输入的服务商）
+  const providers = await getAiProviders();
+  const isOcrProvider = (id) => Boolean(providers[id] && isOcrCapable(providers[id], true));
+  if (ocrApiProvider) {
+    if (!isOcrProvider(ocrApiProvider)) {
+      return res.status(400).json({ success: false, message: `未知或不支持图片识别的 API 源: ${ocrApiProvider}` });
+    }
     newConfig.ocrApiProvider = ocrApiProvider;
   }
+
+  // OCR 故障转移顺序（去重并过滤未知服务商；Mock 只在 MOCK_AI=1 或 MOCK_AI_ALLOW_ADMIN=1 时注册）
+  if (Array.isArray(ocrProviderChain)) {
+    if (!MOCK_AI_REGISTERED && ocrProviderChain.includes('mock')) {
+      return res.status(400).json({ success: false, message: "Mock 服务商仅在 MOCK_AI=1 或 MOCK_AI_ALLOW_ADMIN=1 时可用" });
+    }
+    const chain = [...new Set(ocrProviderChain)].filter(isOcrProvider);
+    if (chain.length === 0) {
+      return res.status(400).json({ success: false, message: "故障转移顺序至少包含一个 API 源" });
+    }
+    newConfig.ocrProviderChain = chain;
+  }
   
   // Gemini OCR 模型配置
   if (geminiNormalOcrModel && GEMINI_OCR_MODEL_OPTIONS[geminiNormalOcrModel]) {
@@ -2946,6 +6750,65 @@ app.put("/api/admin/quota/config", verifyAdminToken, async (req, res) => {
     newConfig.iflowKingOcrModel = iflowKingOcrModel;
   }
 
+  // eGFR 计算公式
+  if (egfrFormula && EGFR_FORMULAS[egfrFormula]) {
+    newConfig.egfrFormula = egfrFormula;
+  }
+
+  // 多页报告最大页数（1-10）
+  const maxPagesFields = { maxPagesNormal, maxPagesPro, maxPagesKing };
+  for (const [field, value] of Object.entries(maxPagesFields)) {
+    if (value === undefined || value === '') continue;
+    const pages = parseInt(value);
+    if (isNaN(pages) || pages < 1 || pages > 10) {
+      return res.status(400).json({ success: false, message: "多页报告最大页数必须在1-10之间" });
+    }
+    newConfig[field] = pages;
+  }
+
+  // OCR 结果缓存时长（0-720 小时，0 表示关闭）
+  if (ocrCacheTtlHours !== undefined && ocrCacheTtlHours !== '') {
+    const ttl = parseFloat(ocrCacheTtlHours);
+    if (isNaN(ttl) || ttl < 0 || ttl > 720) {
+      return res.status(400).json({ success: false, message: "识别结果缓存时长必须在0-720小时之间" });
+    }
+    newConfig.ocrCacheTtlHours = ttl;
+  }
+
+  // 低置信度阈值（0-1）
+  if (lowConfidenceThreshold !== undefined && lowConfidenceThreshold !== '') {
+    const threshold = parseFloat(lowConfidenceThreshold);
+    if (isNaN(threshold) || threshold < 0 || threshold > 1) {
+      return res.status(400).json({ success: false, message: "低置信度阈值必须在0-1之间" });
+    }
+    newConfig.lowConfidenceThreshold = threshold;
+  }
+
+  // 图片预处理
+  if (typeof imagePreprocessEnabled === 'boolean') {
+    newConfig.imagePreprocessEnabled = imagePreprocessEnabled;
+  }
+  if (typeof imageEnhance === 'boolean') {
+    newConfig.imageEnhance = imageEnhance;
+  }
+  if (imageOutputFormat && IMAGE_OUTPUT_FORMATS[imageOutputFormat]) {
+    newConfig.imageOutputFormat = imageOutputFormat;
+  }
+  if (imageMaxDimension !== undefined && imageMaxDimension !== '') {
+    const dimension = parseInt(imageMaxDimension);
+    if (isNaN(dimension) || dimension < 512 || dimension > 8192) {
+      return res.status(400).json({ success: false, message: "图片长边上限必须在512-8192像素之间" });
+    }
+    newConfig.imageMaxDimension = dimension;
+  }
+  if (imageQuality !== undefined && imageQuality !== '') {
+    const quality = parseInt(imageQuality);
+    if (isNaN(quality) || quality < 40 || quality > 100) {
+      return res.status(400).json({ success: false, message: "图片压缩质量必须在40-100之间" });
+    }
+    newConfig.imageQuality = quality;
+  }
+
   await saveQuotaConfig(newConfig);
 
   console.log(`[Admin] Updated quota config:`, newConfig);
@@ -2957,6 +6820,270 @@ app.put("/api/admin/quota/config", verifyAdminToken, async (req, res) => {
   });
 });
 
+// [Admin] 获取检验项目字典（内置 + 自定义）
+app.get("/api/admin/lab-dictionary", verifyAdminToken, async (req, res) => {
+  const { merged } = await getLabDictionary();
+  res.json({ success: true, data: merged, unitConversions: LAB_UNIT_CONVERSIONS });
+});
+
+// [Admin] 新增或更新自定义字典项（同 id 时追加别名、覆盖名称、分类和首选单位）
+app.put("/api/admin/lab-dictionary", verifyAdminToken, async (req, res) => {
+  const { id, name, abbr, aliases, categoryName, preferredUnit } = req.body || {};
+  const cleanId = String(id || '').trim().toLowerCase();
+
+  if (!/^[a-z0-9_]+$/.test(cleanId)) {
+    return res.status(400).json({ success: false, message: "ID 只能包含小写字母、数字和下划线" });
+  }
+
+  const { merged, custom, loadFailed } = await getLabDictionary();
+  if (loadFailed) {
+    return res.status(503).json({ success: false, message: "读取字典失败，请稍后重试" });
+  }
+  const existing = merged[cleanId];
+  if (!existing && !name) {
+    return res.status(400).json({ success: false, message: "新增项目必须提供标准名称" });
+  }
+
+  // 首选单位必须是该项目换算表中支持的单位
+  let cleanPreferredUnit = null;
+  if (preferredUnit) {
+    cleanPreferredUnit = normalizeUnit(preferredUnit);
+    if (!LAB_UNIT_CONVERSIONS[cleanId]?.units[cleanPreferredUnit]) {
+      return res.status(400).json({ success: false, message: `项目 ${cleanId} 不支持单位 ${preferredUnit}` });
+    }
+  }
+
+  const aliasList = (Array.isArray(aliases) ? aliases : String(aliases || '').split(/[,，]/))
+    .map((a) => String(a).trim())
+    .filter(Boolean);
+
+  custom[cleanId] = {
+    ...(custom[cleanId] || {}),
+    ...(name ? { name: String(name).trim() } : {}),
+    ...(abbr ? { abbr: String(abbr).trim() } : {}),
+    ...(categoryName ? { categoryName: String(categoryName).trim() } : {}),
+    ...(cleanPreferredUnit ? { preferredUnit: cleanPreferredUnit } : {}),
+    aliases: [...new Set([...(custom[cleanId]?.aliases || []), ...aliasList])]
+  };
+
+  const saved = await saveCustomLabDictionary(custom);
+  if (!saved) {
+    return res.status(500).json({ success: false, message: "保存字典失败" });
+  }
+
+  console.log(`[Admin] Updated lab dictionary entry ${cleanId}:`, custom[cleanId]);
+
+  res.json({
+    success: true,
+    message: `字典项 ${cleanId} 已保存`,
+    data: custom[cleanId]
+  });
+});
+
+// [Admin] 删除自定义字典项（内置项只会恢复为默认值）
+app.delete("/api/admin/lab-dictionary/:id", verifyAdminToken, async (req, res) => {
+  const { id } = req.params;
+  const { custom, loadFailed } = await getLabDictionary();
+  if (loadFailed) {
+    return res.status(503).json({ success: false, message: "读取字典失败，请稍后重试" });
+  }
+
+  if (!custom[id]) {
+    return res.status(404).json({ success: false, message: "自定义字典项不存在" });
+  }
+
+  delete custom[id];
+  const saved = await saveCustomLabDictionary(custom);
+  if (!saved) {
+    return res.status(500).json({ success: false, message: "保存字典失败" });
+  }
+
+  res.json({
+    success: true,
+    message: DEFAULT_LAB_DICTIONARY[id] ? `字典项 ${id} 已恢复默认` : `字典项 ${id} 已删除`
+  });
+});
+
+// [Admin] 获取各报告类型的提取规则
+app.get("/api/admin/report-type-prompts", verifyAdminToken, async (req, res) => {
+  const { merged } = await getReportTypePrompts();
+  res.json({ success: true, data: merged });
+});
+
+// [Admin] 修改某个报告类型的提取规则（prompt 为空时恢复默认）
+app.put("/api/admin/report-type-prompts", verifyAdminToken, async (req, res) => {
+  const { type, prompt } = req.body || {};
+
+  if (!DEFAULT_REPORT_TYPES[type]) {
+    return res.status(400).json({ success: false, message: `无效的报告类型，可选: ${Object.keys(DEFAULT_REPORT_TYPES).join(', ')}` });
+  }
+  if (prompt !== undefined && typeof prompt !== 'string') {
+    return res.status(400).json({ success: false, message: "提取规则必须是字符串" });
+  }
+  if (prompt && prompt.length > 4000) {
+    return res.status(400).json({ success: false, message: "提取规则不能超过4000字" });
+  }
+
+  const { custom, loadFailed } = await getReportTypePrompts();
+  if (loadFailed) {
+    return res.status(503).json({ success: false, message: "读取提取规则失败，请稍后重试" });
+  }
+  const reset = !prompt || !prompt.trim() || prompt.trim() === DEFAULT_REPORT_TYPES[type].prompt;
+  if (reset) {
+    delete custom[type];
+  } else {
+    custom[type] = prompt.trim();
+  }
+
+  const saved = await saveReportTypePrompts(custom);
+  if (!saved) {
+    return res.status(500).json({ success: false, message: "保存提取规则失败" });
+  }
+
+  console.log(`[Admin] ${reset ? 'Reset' : 'Updated'} report type prompt: ${type}`);
+  const { merged } = await getReportTypePrompts();
+  res.json({
+    success: true,
+    message: reset ? `${DEFAULT_REPORT_TYPES[type].name} 已恢复默认规则` : `${DEFAULT_REPORT_TYPES[type].name} 提取规则已更新`,
+    data: merged
+  });
+});
+
+// [Admin] 获取 AI 服务商注册表（内置服务商 + 自定义端点，自定义端点的 Key 只返回掩码）
+app.get("/api/admin/ai-providers", verifyAdminToken, async (req, res) => {
+  const providers = await getAiProviders();
+  const custom = await getCustomAiProviders();
+
+  const describe = (provider) => ({
+    id: provider.id,
+    name: provider.name,
+    type: provider.type,
+    custom: provider.custom,
+    baseUrl: provider.baseUrl || '',
+    keyEnv: provider.keyEnv || '',
+    capabilities: provider.capabilities,
+    models: Object.keys(provider.models),
+    defaultModel: provider.defaultModel,
+    configured: isProviderConfigured(null, provider, provider.id === 'gemini' ? 'ocr' : 'summary')
+  });
+
+  const data = Object.values(providers).filter(provider => !provider.custom).map(describe);
+  for (const [id, entry] of Object.entries(custom)) {
+    data.push({
+      ...(providers[id] ? describe(providers[id]) : {
+        id,
+        name: entry.name || id,
+        type: 'openai',
+        custom: true,
+        baseUrl: entry.baseUrl,
+        keyEnv: CUSTOM_AI_KEY_ENV_PATTERN.test(entry.keyEnv || '') ? entry.keyEnv : '',
+        capabilities: entry.capabilities,
+        models: entry.models,
+        defaultModel: entry.models[0],
+        configured: false
+      }),
+      enabled: !!entry.enabled,
+      tierModels: entry.tierModels || {},
+      apiKey: entry.apiKey ? maskApiKey(entry.apiKey) : ''
+    });
+  }
+  res.json({ success: true, data });
+});
+
+// [Admin] 登记或修改自定义的 OpenAI 兼容端点
+// apiKey 省略或为空字符串时保留原 Key，为 null 时清除；未设置 apiKey 和 keyEnv 的端点调用时不带鉴权头
+app.put("/api/admin/ai-providers/:id", verifyAdminToken, async (req, res) => {
+  const { id } = req.params;
+  const { name, baseUrl, apiKey, keyEnv, models, tierModels, capabilities, enabled } = req.body || {};
+
+  if (!AI_PROVIDER_ID_PATTERN.test(id)) {
+    return res.status(400).json({ success: false, message: "服务商 ID 只能包含小写字母、数字和短横线（2-32 位）" });
+  }
+  if (BUILTIN_AI_PROVIDERS[id]) {
+    return res.status(400).json({ success: false, message: `${id} 是内置服务商，不能修改` });
+  }
+  let url;
+  try {
+    url = new URL(String(baseUrl || ''));
+  } catch {
+    url = null;
+  }
+  if (!url || !['http:', 'https:'].includes(url.protocol)) {
+    return res.status(400).json({ success: false, message: "接口地址必须是 http(s) URL，例如 https://example.com/v1" });
+  }
+  if (keyEnv !== undefined && keyEnv !== '' && !CUSTOM_AI_KEY_ENV_PATTERN.test(String(keyEnv))) {
+    return res.status(400).json({ success: false, message: "Key 环境变量名需为 AI_PROVIDER_<名称>_KEY 形式，只能包含大写字母、数字和下划线" });
+  }
+  const modelList = Array.isArray(models)
+    ? [...new Set(models.map(model => String(model).trim()).filter(Boolean))]
+    : [];
+  if (modelList.length === 0 || modelList.length > AI_PROVIDER_MAX_MODELS) {
+    return res.status(400).json({ success: false, message: `模型列表需包含 1-${AI_PROVIDER_MAX_MODELS} 个模型` });
+  }
+  const tiers = {};
+  for (const level of ['normal', 'pro', 'king']) {
+    const model = tierModels?.[level];
+    if (!model) continue;
+    if (!modelList.includes(model)) {
+      return res.status(400).json({ success: false, message: `${level} 等级的模型 ${model} 不在模型列表中` });
+    }
+    tiers[level] = model;
+  }
+  const caps = {
+    text: capabilities?.text !== false,
+    vision: !!capabilities?.vision,
+    json: !!capabilities?.json
+  };
+  if (!caps.text) {
+    return res.status(400).json({ success: false, message: "服务商至少需要支持文本生成" });
+  }
+
+  const { custom, loadFailed } = await loadCustomAiProviders();
+  if (loadFailed) {
+    return res.status(503).json({ success: false, message: "读取服务商失败，请稍后重试" });
+  }
+  const existing = custom[id] || {};
+  custom[id] = {
+    name: String(name || '').trim().slice(0, 40) || id,
+    baseUrl: url.toString().replace(/\/+$/, ''),
+    apiKey: apiKey === null ? '' : (typeof apiKey === 'string' && apiKey.trim() ? apiKey.trim() : existing.apiKey || ''),
+    keyEnv: keyEnv === undefined ? existing.keyEnv || '' : String(keyEnv),
+    models: modelList,
+    tierModels: tiers,
+    capabilities: caps,
+    enabled: enabled !== false
+  };
+
+  const saved = await saveCustomAiProviders(custom);
+  if (!saved) {
+    return res.status(500).json({ success: false, message: "保存服务商失败" });
+  }
+
+  console.log(`[Admin] ${existing.baseUrl ? 'Updated' : 'Registered'} AI provider: ${id} (${custom[id].baseUrl})`);
+  res.json({ success: true, message: `服务商 ${custom[id].name} 已保存` });
+});
+
+// [Admin] 删除自定义端点（OCR / 智能小结仍选择该服务商时自动回落到 Gemini）
+app.delete("/api/admin/ai-providers/:id", verifyAdminToken, async (req, res) => {
+  const { id } = req.params;
+  const { custom, loadFailed } = await loadCustomAiProviders();
+  if (loadFailed) {
+    return res.status(503).json({ success: false, message: "读取服务商失败，请稍后重试" });
+  }
+  if (!custom[id]) {
+    return res.status(404).json({ success: false, message: "服务商不存在" });
+  }
+
+  delete custom[id];
+  const saved = await saveCustomAiProviders(custom);
+  if (!saved) {
+    return res.status(500).json({ success: false, message: "删除服务商失败" });
+  }
+
+  console.log(`[Admin] Removed AI provider: ${id}`);
+  res.json({ success: true, message: "服务商已删除" });
+});
+
 // [Admin] 设置用户无限额度（纯 Redis 模式）
 app.post("/api/admin/users/unlimited", verifyAdminToken, async (req, res) => {
   const { userId, isUnlimited } = req.body;
@@ -3205,6 +7332,11 @@ if (!process.env.VERCEL) {
     console.log(
       `Environment API Keys configured: ${ENV_API_KEYS.length > 0 ? ENV_API_KEYS.length : "None (will use request header)"}`
     );
+    if (MOCK_AI_ENABLED) {
+      console.log(`[AI] MOCK_AI enabled: OCR and summaries use the offline mock provider (scenario: ${MOCK_AI_DEFAULT_SCENARIO})`);
+    } else if (MOCK_AI_REGISTERED) {
+      console.log(`[AI] MOCK_AI_ALLOW_ADMIN enabled: the offline mock provider can be selected in the admin panel`);
+    }
     console.log(`[Memory] Idle cleanup: ${IDLE_THRESHOLD_MS / 1000}s light, ${DEEP_CLEAN_THRESHOLD_MS / 1000}s deep`);
     console.log(`[Memory] Initial heap: ${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB`);
   });